@@ -103,8 +103,7 @@ const options = {
             },
             section: {
               type: "string",
-              enum: ["A", "B"],
-              description: "Question section",
+              description: "Question section (one of the domain's section names)",
             },
             difficulty: {
               type: "string",
@@ -115,12 +114,113 @@ const options = {
               type: "string",
               description: "Answer text for the question",
             },
+            type: {
+              type: "string",
+              enum: ["mcq", "text", "file", "code"],
+              description: "Question type",
+            },
+            code: {
+              type: "object",
+              description: "Code questions only; hiddenTests is omitted for students",
+              properties: {
+                language: {
+                  type: "string",
+                  enum: ["javascript", "python"],
+                  description: "Code questions are only accepted when the server runs code through a network-isolating sandbox (CODE_RUNNER_WRAPPER)",
+                },
+                starterCode: { type: "string" },
+                visibleTests: {
+                  type: "array",
+                  items: { $ref: "#/components/schemas/CodeTestCase" },
+                },
+                hiddenTests: {
+                  type: "array",
+                  items: { $ref: "#/components/schemas/CodeTestCase" },
+                },
+                limits: {
+                  type: "object",
+                  properties: {
+                    timeMs: { type: "number", description: "CPU time per test case" },
+                    memoryMb: { type: "number" },
+                    outputBytes: { type: "number" },
+                  },
+                },
+              },
+            },
+            options: {
+              type: "array",
+              description: "MCQ options (isCorrect is omitted for students)",
+              items: {
+                type: "object",
+                properties: {
+                  text: { type: "string" },
+                  value: { type: "string" },
+                  isCorrect: { type: "boolean" },
+                },
+              },
+            },
+            allowMultiple: {
+              type: "boolean",
+              description: "Whether several options may be correct",
+            },
+            fileSettings: {
+              type: "object",
+              description: "File questions only; limits for attached files",
+              properties: {
+                allowedTypes: { type: "array", items: { type: "string" }, description: "Accepted extensions, e.g. pdf, zip, py" },
+                maxSizeMb: { type: "number" },
+                maxFiles: { type: "integer" },
+              },
+            },
+            rubric: {
+              type: "array",
+              items: { $ref: "#/components/schemas/RubricCriterion" },
+            },
+            maxMarks: {
+              type: "number",
+              description: "Highest mark an answer can receive; marks endpoints reject anything above it",
+            },
             createdBy: {
               type: "string",
               description: "User ID who created the question",
             },
           },
         },
+        CodeTestCase: {
+          type: "object",
+          required: ["expectedOutput"],
+          properties: {
+            name: { type: "string" },
+            input: { type: "string", description: "Sent to the program on stdin" },
+            expectedOutput: { type: "string", description: "Compared line by line, ignoring trailing whitespace" },
+            weight: { type: "number", default: 1 },
+          },
+        },
+        RubricCriterion: {
+          type: "object",
+          required: ["name", "maxPoints"],
+          properties: {
+            _id: {
+              type: "string",
+              description: "Criterion ID (send back when updating to keep existing scores linked)",
+            },
+            name: { type: "string" },
+            description: { type: "string" },
+            minPoints: { type: "number", default: 0 },
+            maxPoints: { type: "number" },
+            descriptors: {
+              type: "array",
+              description: "What a given score on this criterion means",
+              items: {
+                type: "object",
+                properties: {
+                  points: { type: "number" },
+                  description: { type: "string" },
+                },
+              },
+            },
+          },
+        },
         Domain: {
           type: "object",
           properties: {
@@ -136,6 +236,32 @@ const options = {
               type: "string",
               description: "Domain description",
             },
+            sections: {
+              type: "array",
+              description: "Named sections in display order (defaults to A and B)",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string" },
+                  order: { type: "integer" },
+                  timeLimitMinutes: {
+                    type: "number",
+                    nullable: true,
+                    description: "Time budget for the section (null for none)",
+                  },
+                },
+              },
+            },
+            maxQuestionsPerSection: {
+              type: "integer",
+              nullable: true,
+              description: "Cap on active questions per section (null means no cap)",
+            },
+            drawCount: {
+              type: "integer",
+              nullable: true,
+              description: "Questions drawn per section for each paper when a test has no draw rules",
+            },
             createdBy: {
               type: "string",
               description: "User ID who created the domain",
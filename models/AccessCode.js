@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+
+// A code students must enter to start a supervised test, shown to the whole test or one room.
+// Static codes store the code itself; rotating codes store a secret from which the code of the
+// current period is derived (see utils/accessCodes.js). Never returned to students.
+const AccessCodeSchema = new mongoose.Schema({
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true,
+    index: true
+  },
+  // Room or group the code is announced in; empty for a code valid across the test
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  code: {
+    type: String,
+    default: null
+  },
+  secret: {
+    type: String,
+    default: null
+  },
+  // Minutes each rotating code stays valid; null for a static code
+  rotationMinutes: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Post-save hook
+AccessCodeSchema.post('save', function(doc) {
+  logger.info('AccessCode saved', { id: doc._id, test: doc.test, label: doc.label, rotating: !!doc.rotationMinutes });
+});
+
+// Post-delete hook
+AccessCodeSchema.post('findOneAndDelete', function(doc) {
+  if (doc) {
+    logger.info('AccessCode deleted', { id: doc._id, test: doc.test });
+  }
+});
+
+// Export model safely for hot-reload environments
+const AccessCode = mongoose.models.AccessCode || mongoose.model('AccessCode', AccessCodeSchema);
+export default AccessCode;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+
+// Append-only history of an answer: one entry per autosaved draft or submit. Each entry
+// carries a hash of its content and the hash of the entry before it, so gaps or edits
+// in the chain are detectable.
+const AnswerRevisionSchema = new mongoose.Schema({
+  answer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentAnswer',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test'
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['draft', 'submit'],
+    required: true
+  },
+  answerText: {
+    type: String,
+    maxlength: 10000
+  },
+  selectedOptions: {
+    type: [String],
+    default: undefined
+  },
+  contentHash: {
+    type: String,
+    required: true
+  },
+  previousHash: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AnswerRevisionSchema.index({ answer: 1, createdAt: 1 });
+AnswerRevisionSchema.index({ student: 1, test: 1 });
+
+// Revisions are never changed once written
+const refuseUpdate = function(next) {
+  next(new Error('Answer revisions are append-only'));
+};
+AnswerRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], refuseUpdate);
+
+// Post-save hook for observability
+AnswerRevisionSchema.post('save', function(doc) {
+  try {
+    logger.info('AnswerRevision saved', { id: doc._id, answer: doc.answer, kind: doc.kind, contentHash: doc.contentHash });
+  } catch (e) {
+    logger.error('AnswerRevision post-save logging failed', { error: e });
+  }
+});
+
+// Export model safely for hot-reload environments
+const AnswerRevision = mongoose.models.AnswerRevision || mongoose.model('AnswerRevision', AnswerRevisionSchema);
+export default AnswerRevision;
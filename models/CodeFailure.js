@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Wrong start codes a student gave for one test within the current window. Kept in the database
+// so the limit holds across instances and restarts; the TTL index drops a window once it ends.
+const CodeFailureSchema = new mongoose.Schema({
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // End of the window the failures count towards
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+CodeFailureSchema.index({ test: 1, student: 1 }, { unique: true });
+CodeFailureSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export model safely for hot-reload environments
+const CodeFailure = mongoose.models.CodeFailure || mongoose.model('CodeFailure', CodeFailureSchema);
+export default CodeFailure;
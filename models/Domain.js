@@ -3,7 +3,21 @@ import logger from '../utils/logger.js';
 
 const DomainSchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true, trim: true, minlength: 2, maxlength: 100 },
-  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  // Named sections in display order, each optionally with its own time limit
+  sections: {
+    type: [{
+      name: { type: String, required: true, trim: true, maxlength: 50 },
+      order: { type: Number, default: 0 },
+      timeLimitMinutes: { type: Number, min: 1, default: null },
+      _id: false
+    }],
+    default: () => [{ name: 'A', order: 0 }, { name: 'B', order: 1 }]
+  },
+  // Pool cap per section; null means the question bank can grow without limit
+  maxQuestionsPerSection: { type: Number, min: 1, default: null },
+  // Questions drawn per section for each student's paper when the test has no draw rules; null draws the whole pool
+  drawCount: { type: Number, min: 1, default: null }
 }, { timestamps: true });
 
 // Ensure an index for unique name (useful for migrations and explicit control)
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+
+// Browser signals sent by the exam client during an attempt (tab switches, copy/paste, ...)
+const ProctorEventSchema = new mongoose.Schema({
+  studentTest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentTest',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // When the client says it happened; receivedAt is the server's clock
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Suspicion weight the event carried when it was recorded
+  weight: {
+    type: Number,
+    default: 0
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, {
+  timestamps: false
+});
+
+ProctorEventSchema.index({ studentTest: 1, occurredAt: 1 });
+ProctorEventSchema.index({ test: 1, student: 1 });
+
+// Post-delete hook
+ProctorEventSchema.post('findOneAndDelete', function(doc) {
+  if (doc) {
+    logger.info('ProctorEvent deleted', { id: doc._id, studentTest: doc.studentTest });
+  }
+});
+
+// Export model safely for hot-reload environments
+const ProctorEvent = mongoose.models.ProctorEvent || mongoose.model('ProctorEvent', ProctorEventSchema);
+export default ProctorEvent;
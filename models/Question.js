@@ -1,6 +1,14 @@
 import mongoose from "mongoose";
 import logger from '../utils/logger.js';
 
+// One input/expected-output pair for a code question
+const TestCaseSchema = new mongoose.Schema({
+  name: { type: String, trim: true, maxlength: 200 },
+  input: { type: String, default: '', maxlength: 100000 },
+  expectedOutput: { type: String, required: true, maxlength: 100000 },
+  weight: { type: Number, min: 0, default: 1 }
+});
+
 const QuestionSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -22,9 +30,10 @@ const QuestionSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // One of the domain's section names
   section: {
     type: String,
-    enum: ['A', 'B'],
+    trim: true,
     default: 'A'
   },
   difficulty: {
@@ -32,11 +41,50 @@ const QuestionSchema = new mongoose.Schema({
     enum: ['easy', 'medium', 'hard'],
     default: 'medium'
   },
-  // Options for multiple choice questions
-  options: [{ text: String, value: String }],
-  // Type of question: e.g., mcq, text, file
-  type: { type: String, enum: ['mcq', 'text', 'file'], default: 'mcq' },
+  // Options for multiple choice questions; isCorrect is never sent to students
+  options: [{ text: String, value: String, isCorrect: { type: Boolean, default: false } }],
+  // When true more than one option may be correct and the student may pick several
+  allowMultiple: { type: Boolean, default: false },
+  // Type of question: e.g., mcq, text, file, code
+  type: { type: String, enum: ['mcq', 'text', 'file', 'code'], default: 'mcq' },
+  // Code questions: answers run against every test case (see utils/codeRunner.js) and score by
+  // the weight of the cases they pass. Students see and can run visibleTests; hiddenTests
+  // never leave the server.
+  code: {
+    language: { type: String, enum: ['javascript', 'python'] },
+    starterCode: { type: String, maxlength: 10000 },
+    visibleTests: [TestCaseSchema],
+    hiddenTests: [TestCaseSchema],
+    limits: {
+      timeMs: { type: Number, min: 100 },
+      memoryMb: { type: Number, min: 16 },
+      outputBytes: { type: Number, min: 1024 }
+    }
+  },
+  // File questions: accepted extensions and limits for attached files (see utils/answerFiles.js)
+  fileSettings: {
+    allowedTypes: { type: [String], default: undefined },
+    maxSizeMb: { type: Number, min: 0 },
+    maxFiles: { type: Number, min: 1 }
+  },
+  // Highest mark an answer can receive (full marks for a correct MCQ)
+  maxMarks: {
+    type: Number,
+    min: 0,
+    default: function() { return this.type === 'mcq' ? 1 : 10; }
+  },
   answerText: { type: String, trim: true },
+  // Optional grading rubric for text/file answers; when present maxMarks is the sum of criterion maxima
+  rubric: [{
+    name: { type: String, required: true, trim: true, maxlength: 200 },
+    description: { type: String, trim: true, maxlength: 1000 },
+    minPoints: { type: Number, default: 0, min: 0 },
+    maxPoints: { type: Number, required: true, min: 0 },
+    descriptors: [{
+      points: { type: Number, required: true, min: 0 },
+      description: { type: String, required: true, trim: true, maxlength: 1000 }
+    }]
+  }],
   isActive: { type: Boolean, default: true, index: true },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+
+// A per-student seat password for one test. Only a bcrypt hash is kept; the plain code is
+// shown to the admin once, when it is generated.
+const SeatCodeSchema = new mongoose.Schema({
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // When the code was first accepted to start the attempt
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+SeatCodeSchema.index({ test: 1, student: 1 }, { unique: true });
+
+// Post-delete hook
+SeatCodeSchema.post('findOneAndDelete', function(doc) {
+  if (doc) {
+    logger.info('SeatCode deleted', { id: doc._id, test: doc.test, student: doc.student });
+  }
+});
+
+// Export model safely for hot-reload environments
+const SeatCode = mongoose.models.SeatCode || mongoose.model('SeatCode', SeatCodeSchema);
+export default SeatCode;
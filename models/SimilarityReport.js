@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+
+// Character range [start, end) of an answer's answerText
+const PassageSchema = new mongoose.Schema({
+  start: { type: Number, required: true },
+  end: { type: Number, required: true }
+}, { _id: false });
+
+// Result of the latest similarity analysis of one question in one test (see utils/similarity.js)
+const SimilarityReportSchema = new mongoose.Schema({
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  domain: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Domain',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'done', 'failed'],
+    default: 'running'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  shingleSize: {
+    type: Number,
+    required: true
+  },
+  answerCount: {
+    type: Number,
+    default: 0
+  },
+  // Pairs scoring at least 0.1, of which only the highest MAX_STORED_PAIRS are kept in pairs
+  pairCount: {
+    type: Number,
+    default: 0
+  },
+  // Answer pairs from different students, highest score first
+  pairs: [{
+    _id: false,
+    answerA: { type: mongoose.Schema.Types.ObjectId, ref: 'StudentAnswer', required: true },
+    answerB: { type: mongoose.Schema.Types.ObjectId, ref: 'StudentAnswer', required: true },
+    studentA: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    studentB: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    score: { type: Number, required: true },
+    passagesA: [PassageSchema],
+    passagesB: [PassageSchema]
+  }],
+  // Answers linked by pairs at or above the threshold
+  clusters: [{
+    _id: false,
+    answers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'StudentAnswer' }],
+    students: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    maxScore: { type: Number, required: true }
+  }],
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  analyzedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+SimilarityReportSchema.index({ test: 1, question: 1 }, { unique: true });
+SimilarityReportSchema.index({ domain: 1, test: 1 });
+
+// Post-delete hook
+SimilarityReportSchema.post('findOneAndDelete', function(doc) {
+  if (doc) {
+    logger.info('SimilarityReport deleted', { id: doc._id, test: doc.test, question: doc.question });
+  }
+});
+
+// Export model safely for hot-reload environments
+const SimilarityReport = mongoose.models.SimilarityReport || mongoose.model('SimilarityReport', SimilarityReportSchema);
+export default SimilarityReport;
@@ -23,7 +23,7 @@ const StudentAnswerSchema = new mongoose.Schema({
   },
   section: {
     type: String,
-    enum: ['A', 'B'],
+    trim: true,
     required: true
   },
   answerText: {
@@ -31,6 +31,11 @@ const StudentAnswerSchema = new mongoose.Schema({
     trim: true,
     maxlength: 10000
   },
+  // Option values picked for MCQ questions
+  selectedOptions: {
+    type: [String],
+    default: undefined
+  },
   imageUrl: {
     type: String,
     trim: true
@@ -39,6 +44,16 @@ const StudentAnswerSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Documents attached to answers of file questions, kept in private storage (see utils/fileStorage.js)
+  files: [{
+    originalName: { type: String, required: true },
+    mimetype: { type: String, required: true },
+    size: { type: Number, required: true },
+    sha256: { type: String, required: true },
+    backend: { type: String, required: true },
+    storageKey: { type: String, required: true },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
   submittedAt: {
     type: Date,
     default: Date.now
@@ -51,14 +66,66 @@ const StudentAnswerSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // False while the answer only exists as an autosaved draft
   isSubmitted: {
     type: Boolean,
     default: true
   },
+  // Latest autosaved work in progress; submitting copies it into answerText/selectedOptions
+  draft: {
+    answerText: { type: String, maxlength: 10000 },
+    selectedOptions: { type: [String], default: undefined },
+    savedAt: { type: Date }
+  },
+  // Set when the answer was submitted by the expiry sweeper rather than by the student
+  autoSubmittedAt: {
+    type: Date,
+    default: null
+  },
   mark: {
     type: Number,
     default: null,
     min: 0
+  },
+  // Per-criterion scores when the question is graded with a rubric; mark is their sum
+  rubricScores: [{
+    criterion: { type: mongoose.Schema.Types.ObjectId, required: true },
+    name: { type: String, trim: true },
+    points: { type: Number, required: true, min: 0 },
+    maxPoints: { type: Number, min: 0 }
+  }],
+  // Written grader feedback shown to the student once the test's results are published
+  feedback: {
+    comment: { type: String, trim: true, maxlength: 5000 },
+    // Inline notes on character ranges [start, end) of answerText
+    annotations: [{
+      start: { type: Number, required: true, min: 0 },
+      end: { type: Number, required: true, min: 0 },
+      comment: { type: String, required: true, trim: true, maxlength: 1000 }
+    }],
+    gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date }
+  },
+  // Outcome of running a code answer against its question's test cases; hidden cases carry no input or output
+  codeResult: {
+    passed: { type: Number },
+    total: { type: Number },
+    // Hash of the code that was run; a different answerText means the result is stale
+    codeHash: { type: String },
+    gradedAt: { type: Date },
+    cases: [{
+      name: { type: String },
+      hidden: { type: Boolean },
+      status: { type: String, enum: ['ok', 'wrong-answer', 'runtime-error', 'time-limit', 'memory-limit', 'output-limit'] },
+      passed: { type: Boolean },
+      timeMs: { type: Number },
+      _id: false
+    }]
+  },
+  // True when mark was computed from the question's correct options rather than entered by staff
+  autoGraded: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
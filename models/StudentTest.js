@@ -10,12 +10,87 @@ const StudentTestSchema = new mongoose.Schema({
   endTime: { type: Date },
   score: { type: Number, min: 0 },
   selectedDomain: { type: mongoose.Schema.Types.ObjectId, ref: "Domain" },
-  selectedSection: { type: String, enum: ["A","B"] },
+  selectedSection: { type: String, trim: true },
   status: { type: String, enum: ["pending","in-progress","completed","expired"], default: "pending", index: true },
+  // Why the attempt ended: the student submitted in time, submitted after dueTime, or the expiry sweeper closed it
+  endReason: { type: String, enum: ["submitted","late-submit","timed-out","proctor-auto-submit"], default: null },
+  // Running proctoring totals; events themselves live in ProctorEvent
+  proctoring: {
+    score: { type: Number, default: 0 },
+    eventCount: { type: Number, default: 0 },
+    flaggedAt: { type: Date, default: null },
+    flagReason: { type: String, default: null }
+  },
+  // Set while a proctor has paused the attempt; the clock is stopped until it is resumed
+  pausedAt: { type: Date, default: null },
+  // Proctor adjustments to the attempt clock, oldest first
+  adjustments: [{
+    action: { type: String, enum: ["pause","resume","extend"], required: true },
+    minutes: { type: Number },
+    reason: { type: String, trim: true, maxlength: 500 },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    at: { type: Date, default: Date.now },
+    dueTimeBefore: { type: Date },
+    dueTimeAfter: { type: Date },
+    _id: false
+  }],
+  // Issued when the attempt ends: every paper question, answered or not, sealed by one hash
+  receipt: {
+    hash: { type: String },
+    issuedAt: { type: Date },
+    answered: { type: Number },
+    unanswered: { type: Number },
+    questions: [{
+      question: { type: mongoose.Schema.Types.ObjectId, ref: "Question" },
+      title: { type: String },
+      section: { type: String },
+      answered: { type: Boolean },
+      submittedAt: { type: Date },
+      contentHash: { type: String },
+      _id: false
+    }]
+  },
+  // Set once the attempt's answers have been submitted and MCQs graded; null means an ended attempt still needs it
+  finalizedAt: { type: Date, default: null },
+  // Claim held by the run finalizing the attempt; a stale claim (crashed run) is taken over
+  finalizingAt: { type: Date, default: null },
+  // Extra time applied when the attempt started: the multiplier and whether it came from the test or the student's profile
+  accommodation: {
+    timeMultiplier: { type: Number, default: 1 },
+    source: { type: String, enum: ["test","user",null], default: null },
+    note: { type: String, trim: true }
+  },
+  // Per-section clocks: when each section was entered, when its budget runs out and when it was locked
+  sectionTimers: [{
+    section: { type: String, required: true },
+    enteredAt: { type: Date, required: true },
+    dueTime: { type: Date, required: true },
+    lockedAt: { type: Date, default: null },
+    _id: false
+  }],
+  // Distinct client IP / user agent / fingerprint combinations seen on start and answer submits
+  devices: [{
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    fingerprint: { type: String, default: null },
+    event: { type: String, enum: ["start","answer"], required: true },
+    firstSeenAt: { type: Date, required: true },
+    lastSeenAt: { type: Date, required: true },
+    seenCount: { type: Number, default: 1 },
+    _id: false
+  }],
+  // The student's own paper in presentation order, with MCQ option values in display order
+  questions: [{
+    question: { type: mongoose.Schema.Types.ObjectId, ref: "Question", required: true },
+    optionOrder: [String],
+    _id: false
+  }],
 }, { timestamps: true });
 
 // Ensure one StudentTest per student+test
 StudentTestSchema.index({ student: 1, test: 1 }, { unique: true });
+// Expiry sweeper lookups
+StudentTestSchema.index({ status: 1, dueTime: 1 });
 
 // Validate times: dueTime should be after startTime when both present
 StudentTestSchema.pre('validate', function(next) {
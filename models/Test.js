@@ -8,9 +8,67 @@ const TestSchema = new mongoose.Schema({
   startDate: { type: Date, required: true, index: true },
   endDate: { type: Date, required: true, index: true },
   durationMinutes: { type: Number, default: 60, min: 1 },
-  sections: { type: [String], default: ["A","B"] },
-  status: { type: String, enum: ["inactive","active","finished"], default: "inactive", index: true },
-  eligibleStudents: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }]
+  // Section names students may pick; empty allows every section defined by the chosen domain
+  sections: { type: [String], default: [] },
+  // Kept current by the test scheduler from startDate/endDate; see utils/testLifecycle.js
+  status: { type: String, enum: ["inactive","active","paused","finished"], default: "inactive", index: true },
+  // Manual admin override the scheduler must not undo (null follows the schedule)
+  statusOverride: { type: String, enum: ["paused","finished",null], default: null },
+  // Every status change, scheduled or manual
+  statusHistory: [{
+    action: { type: String, enum: ["schedule","pause","resume","extend","finish"], required: true },
+    from: { type: String },
+    to: { type: String },
+    endDate: { type: Date },
+    reason: { type: String, trim: true, maxlength: 500 },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+  eligibleStudents: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  // Per-test extra time for individual students; overrides the student's own accommodation profile
+  accommodations: [{
+    student: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    timeMultiplier: { type: Number, required: true, min: 1, max: 3 },
+    note: { type: String, trim: true, maxlength: 500 },
+    _id: false
+  }],
+  // Per-section time budgets for this test; sections not listed use the domain's section time limit
+  sectionTimeLimits: [{
+    section: { type: String, required: true },
+    minutes: { type: Number, required: true, min: 1 },
+    _id: false
+  }],
+  // How each student's paper is drawn from the domain pool; no rules means every question in the section
+  drawRules: [{
+    section: { type: String },
+    difficulty: { type: String, enum: ["easy","medium","hard"] },
+    count: { type: Number, required: true, min: 1 }
+  }],
+  // Proctoring: per-event-type weight overrides and the suspicion scores that flag or auto-submit an attempt (null disables)
+  proctoring: {
+    weights: { type: Map, of: Number, default: undefined },
+    flagThreshold: { type: Number, min: 0, default: null },
+    autoSubmitThreshold: { type: Number, min: 0, default: null }
+  },
+  // Webcam snapshots: off unless enabled; frames are purged retentionDays after capture
+  snapshots: {
+    enabled: { type: Boolean, default: false },
+    intervalSeconds: { type: Number, min: 10, default: 60 },
+    retentionDays: { type: Number, min: 1, max: 365, default: 30 }
+  },
+  // Supervised sittings: starting needs the room's access code and/or the student's seat code
+  accessControl: {
+    requireAccessCode: { type: Boolean, default: false },
+    requireSeatCode: { type: Boolean, default: false }
+  },
+  // Lab sittings: addresses or CIDR ranges students must start and answer from; empty allows any
+  ipAllowlist: { type: [String], default: [] },
+  shuffleQuestions: { type: Boolean, default: true },
+  shuffleOptions: { type: Boolean, default: true },
+  // Result lifecycle: staff grade, an admin reviews, then publishes; students see results only once published
+  resultStatus: { type: String, enum: ["grading","under-review","published"], default: "grading", index: true },
+  resultsPublishedAt: { type: Date, default: null }
 }, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
 
 // Ensure domains array is not empty
@@ -24,6 +24,11 @@ const UserSchema = new mongoose.Schema({
   mobileNumber: { type: String, trim: true },
   department: { type: String, trim: true },
   yearOfPassing: { type: Number },
+  // Extra-time entitlement applied to every test (a test can override it in Test.accommodations)
+  accommodation: {
+    timeMultiplier: { type: Number, min: 1, max: 3, default: 1 },
+    note: { type: String, trim: true, maxlength: 500 }
+  },
   resetOtpCode: { type: String, select: false },
   resetOtpExpires: { type: Date, select: false }
 }, { timestamps: true });
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+
+// Periodic webcam frames captured during an attempt. These are sensitive personal data:
+// every snapshot carries the time it must be purged by (see utils/snapshots.js).
+const WebcamSnapshotSchema = new mongoose.Schema({
+  studentTest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentTest',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+  // The frame in private file storage (see utils/fileStorage.js); staff view it through
+  // GET /tests/:id/snapshots/:snapshotId/image
+  backend: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  bytes: {
+    type: Number
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false
+});
+
+WebcamSnapshotSchema.index({ studentTest: 1, capturedAt: 1 });
+WebcamSnapshotSchema.index({ test: 1 });
+WebcamSnapshotSchema.index({ expiresAt: 1 });
+
+// Post-save hook for observability
+WebcamSnapshotSchema.post('save', function(doc) {
+  try {
+    logger.info('WebcamSnapshot saved', { id: doc._id, studentTest: doc.studentTest, expiresAt: doc.expiresAt });
+  } catch (e) {
+    logger.error('WebcamSnapshot post-save logging failed', { error: e });
+  }
+});
+
+// Export model safely for hot-reload environments
+const WebcamSnapshot = mongoose.models.WebcamSnapshot || mongoose.model('WebcamSnapshot', WebcamSnapshotSchema);
+export default WebcamSnapshot;
@@ -3,6 +3,9 @@ import User from '../models/User.js';
 import Test from '../models/Test.js';
 import { auth, requireRole } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
+import { STATUS_ACTIONS, applyStatusAction, scheduledStatus } from '../utils/testLifecycle.js';
+import { validateAccommodation, normalizeAccommodation } from '../utils/accommodations.js';
+import { resumeTestAttempts, refitTestDeadlines } from '../utils/attemptControl.js';
 
 const router = express.Router();
 router.use(auth, requireRole('admin'));
@@ -43,7 +46,8 @@ router.post("/tests", async (req, res) => {
       domains, 
       startDate, 
       endDate, 
-      eligibleStudents: eligibleStudents || [] 
+      eligibleStudents: eligibleStudents || [],
+      status: scheduledStatus({ startDate: new Date(startDate), endDate: new Date(endDate) })
     });
     logger.info('Test created successfully', { testId: test._id, title: test.title });
     res.status(201).json(test);
@@ -53,26 +57,44 @@ router.post("/tests", async (req, res) => {
   }
 });
 
-// Update test status manually
+// Older clients send a target status instead of an action
+const LEGACY_STATUS_ACTIONS = { inactive: 'pause', paused: 'pause', active: 'resume', finished: 'finish' };
+
+// Manual status override: pause, resume, extend (with endDate) or finish. The scheduler
+// keeps a paused or force-finished test that way until an admin changes it again.
 router.put("/tests/:id/status", async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['inactive', 'active', 'finished'];
+    const { status, reason, endDate } = req.body;
+    const action = req.body.action || LEGACY_STATUS_ACTIONS[status];
     
-    logger.info('Updating test status', { testId: req.params.id, newStatus: status });
+    logger.info('Updating test status', { testId: req.params.id, action });
 
-    if (!status || !validStatuses.includes(status)) {
-      logger.warn('Test status update failed: Invalid status', { testId: req.params.id, providedStatus: status });
-      return res.status(400).json({ message: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
+    if (!action || !STATUS_ACTIONS.includes(action)) {
+      logger.warn('Test status update failed: Invalid action', { testId: req.params.id, providedAction: req.body.action, providedStatus: status });
+      return res.status(400).json({ message: `Invalid action. Must be one of: ${STATUS_ACTIONS.join(', ')}` });
+    }
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({ message: 'reason must be a string' });
     }
 
-    const test = await Test.findByIdAndUpdate(req.params.id, { status }, { new: true });
+    const test = await Test.findById(req.params.id);
     if (!test) {
       logger.warn('Test status update failed: Test not found', { testId: req.params.id });
       return res.status(404).json({ message: 'Test not found' });
     }
+
+    const previousEndDate = test.endDate;
+    const pause = [...test.statusHistory].reverse().find(h => h.action === 'pause');
+    const result = await applyStatusAction(test, action, { by: req.user._id, reason, endDate });
+    if (result.error) {
+      logger.warn('Test status update refused', { testId: test._id, action, reason: result.error });
+      return res.status(400).json({ message: result.error });
+    }
+    // Running attempts get the paused time back and follow a moved end date
+    if (action === 'resume' && pause) await resumeTestAttempts(test._id, pause.at, { by: req.user._id, reason });
+    if (action === 'extend') await refitTestDeadlines(test, previousEndDate);
     
-    logger.info('Test status updated successfully', { testId: test._id, status: test.status });
+    logger.info('Test status updated successfully', { testId: test._id, status: test.status, action });
     res.json(test);
   } catch (err) {
     logger.error('Failed to update test status', { testId: req.params.id, error: err.message });
@@ -275,6 +297,36 @@ router.put('/students/:id/status', async (req, res) => {
   }
 });
 
+// Set a student's extra-time accommodation profile (timeMultiplier 1 removes it)
+router.put('/students/:id/accommodation', async (req, res) => {
+  try {
+    const userId = req.params.id;
+    logger.info('Updating student accommodation', { userId, timeMultiplier: req.body?.timeMultiplier });
+
+    if (!userId || userId.length !== 24) {
+      logger.warn('Student accommodation update failed: Invalid user ID format', { userId });
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    const error = validateAccommodation(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const user = await User.findById(userId);
+    if (!user || user.role !== 'student') {
+      logger.warn('Student accommodation update failed: Not found or not student', { userId });
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    user.accommodation = normalizeAccommodation(req.body);
+    await user.save();
+
+    logger.info('Student accommodation updated', { userId: user._id, timeMultiplier: user.accommodation.timeMultiplier, adminId: req.user._id });
+    res.json({ message: 'Accommodation updated', accommodation: user.accommodation });
+  } catch (err) {
+    logger.error('Failed to update student accommodation', { userId: req.params.id, error: err.message });
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Get all students for test eligibility selection (excludes soft-deleted)
 router.get('/students', async (req, res) => {
   try {
@@ -285,7 +337,7 @@ router.get('/students', async (req, res) => {
       disabled: { $ne: true },
       deletedAt: null
     })
-      .select('_id name email collegeName department yearOfPassing mobileNumber')
+      .select('_id name email collegeName department yearOfPassing mobileNumber accommodation')
       .sort({ name: 1 })
       .lean();
 
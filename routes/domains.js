@@ -7,9 +7,41 @@ import Test from "../models/Test.js";
 import StudentTest from "../models/StudentTest.js";
 import mongoose from "mongoose";
 import logger from "../utils/logger.js";
+import {
+  STUDENT_PAPER_FIELDS,
+  maxMarksFor,
+  sectionMaxMarks,
+  attemptsSectionMaxMarks,
+} from "../utils/grading.js";
+import {
+  checkQuestionAccess,
+  sendSessionError,
+} from "../utils/examSession.js";
+import { loadPaper, drawSize } from "../utils/questionDraw.js";
+import { clientInfo } from "../utils/devices.js";
+import { removeAnswerFiles } from "../utils/answerFiles.js";
+import { revisionsByAnswer } from "../utils/revisions.js";
+import AnswerRevision from "../models/AnswerRevision.js";
+import SimilarityReport from "../models/SimilarityReport.js";
+import {
+  DEFAULT_THRESHOLD,
+  DEFAULT_SHINGLE_SIZE,
+  queueSimilarityAnalysis,
+  similarityByAnswer,
+} from "../utils/similarity.js";
+import {
+  domainSections,
+  sectionNames,
+  validateSections,
+  normalizeSections,
+} from "../utils/sections.js";
 
 const router = express.Router();
 
+// Pool limits are positive integers, or null to remove the limit
+const isValidLimit = (value) =>
+  value === null || (Number.isInteger(value) && value >= 1);
+
 /**
  * @swagger
  * /domains:
@@ -30,6 +62,27 @@ const router = express.Router();
  *               name:
  *                 type: string
  *                 description: Domain name
+ *               maxQuestionsPerSection:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Cap on the question pool per section (null or omitted for no cap)
+ *               drawCount:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Questions drawn per section for each paper when a test has no draw rules (null draws all)
+ *               sections:
+ *                 type: array
+ *                 description: Named sections with order and optional time limit (defaults to A and B)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     order:
+ *                       type: integer
+ *                     timeLimitMinutes:
+ *                       type: number
+ *                       nullable: true
  *     responses:
  *       201:
  *         description: Domain created successfully
@@ -48,7 +101,12 @@ const router = express.Router();
 // Create domain (staff only)
 router.post("/", auth, requireRole("staff"), async (req, res) => {
   try {
-    const { name } = req.body;
+    const {
+      name,
+      maxQuestionsPerSection = null,
+      drawCount = null,
+      sections,
+    } = req.body;
     logger.info("Create domain attempt", { name, user: req.user?._id });
     if (!name) {
       logger.warn("Create domain failed: Name required", {
@@ -56,6 +114,15 @@ router.post("/", auth, requireRole("staff"), async (req, res) => {
       });
       return res.status(400).json({ message: "Name required" });
     }
+    if (!isValidLimit(maxQuestionsPerSection) || !isValidLimit(drawCount)) {
+      return res.status(400).json({
+        message: "maxQuestionsPerSection and drawCount must be positive integers or null",
+      });
+    }
+    if (sections !== undefined) {
+      const sectionsError = validateSections(sections);
+      if (sectionsError) return res.status(400).json({ message: sectionsError });
+    }
     const existing = await Domain.findOne({ name: name.trim() });
     if (existing) {
       logger.warn("Create domain failed: Domain exists", { name: name.trim() });
@@ -64,6 +131,9 @@ router.post("/", auth, requireRole("staff"), async (req, res) => {
     const dom = await Domain.create({
       name: name.trim(),
       createdBy: req.user._id,
+      maxQuestionsPerSection,
+      drawCount,
+      ...(sections !== undefined && { sections: normalizeSections(sections) }),
     });
     logger.info("Domain created", {
       domainId: dom._id,
@@ -106,6 +176,16 @@ router.post("/", auth, requireRole("staff"), async (req, res) => {
  *                                 type: integer
  *                               sectionB:
  *                                 type: integer
+ *                           questionPool:
+ *                             type: object
+ *                             description: Per section, the active pool size and how many questions each paper draws
+ *                             additionalProperties:
+ *                               type: object
+ *                               properties:
+ *                                 poolSize:
+ *                                   type: integer
+ *                                 drawSize:
+ *                                   type: integer
  *                           canEdit:
  *                             type: boolean
  */
@@ -152,29 +232,41 @@ router.get("/", auth, async (req, res) => {
       }
     }
 
-    // Map counts by domainId -> { A: n, B: m }
+    // Map counts by domainId -> { [section]: n }
     const countsMap = new Map();
     counts.forEach((c) => {
       const domainId = c._id.domain.toString();
       const section = c._id.section || "A";
-      if (!countsMap.has(domainId)) countsMap.set(domainId, { A: 0, B: 0 });
+      if (!countsMap.has(domainId)) countsMap.set(domainId, {});
       countsMap.get(domainId)[section] = c.count;
     });
 
     const domainsWithCounts = domains.map((domain) => {
       const idStr = domain._id.toString();
-      const qCounts = countsMap.get(idStr) || { A: 0, B: 0 };
+      const qCounts = countsMap.get(idStr) || {};
+      const sections = domainSections(domain);
       const createdById = domain.createdBy
         ? domain.createdBy._id
           ? domain.createdBy._id.toString()
           : domain.createdBy.toString()
         : null;
+      const questionPool = {};
+      sections.forEach(({ name }) => {
+        const poolSize = qCounts[name] || 0;
+        questionPool[name] = {
+          poolSize,
+          drawSize: drawSize(domain, poolSize),
+        };
+      });
       return {
         ...domain,
+        sections,
+        // sectionA/sectionB kept for older clients; questionPool covers every section
         questionCounts: {
           sectionA: qCounts.A || 0,
           sectionB: qCounts.B || 0,
         },
+        questionPool,
         canEdit:
           req.user.role === "staff" &&
           createdById &&
@@ -243,6 +335,22 @@ router.get("/:id", auth, async (req, res) => {
       return res.status(404).json({ message: "Domain not found" });
     }
 
+    // Students only see their own paper through their running attempt (?testId=)
+    if (req.user.role === "student") {
+      const access = await checkQuestionAccess({
+        studentId: req.user._id,
+        testId: req.query.testId,
+        domainId: req.params.id,
+        client: clientInfo(req),
+      });
+      if (access.error) return sendSessionError(res, access.error);
+      const questions = await loadPaper(
+        access.studentTest,
+        STUDENT_PAPER_FIELDS
+      );
+      return res.json({ domain, questions });
+    }
+
     const questions = await Question.find({
       domain: req.params.id,
       isActive: true,
@@ -278,7 +386,11 @@ router.get("/:id/answers", auth, requireRole("staff"), async (req, res) => {
     if (testId) findFilter.test = testId;
 
     // Use aggregation to group answers by student and separate sections (more efficient)
-    const matchStage = { domain: new mongoose.Types.ObjectId(req.params.id) };
+    // Draft-only answers (never submitted) are not shown for grading
+    const matchStage = {
+      domain: new mongoose.Types.ObjectId(req.params.id),
+      isSubmitted: { $ne: false },
+    };
     if (testId && mongoose.Types.ObjectId.isValid(testId)) {
       matchStage.test = new mongoose.Types.ObjectId(testId);
     }
@@ -316,7 +428,13 @@ router.get("/:id/answers", auth, requireRole("staff"), async (req, res) => {
               question: "$question",
               section: "$section",
               mark: "$mark",
+              autoGraded: "$autoGraded",
               answerText: "$answerText",
+              selectedOptions: "$selectedOptions",
+              codeResult: "$codeResult",
+              files: "$files",
+              rubricScores: "$rubricScores",
+              feedback: "$feedback",
               submittedAt: "$submittedAt",
               updatedAt: "$updatedAt",
               createdAt: "$createdAt",
@@ -329,33 +447,119 @@ router.get("/:id/answers", auth, requireRole("staff"), async (req, res) => {
           totalMark: { $sum: { $ifNull: ["$mark", 0] } },
         },
       },
-      // project into sections
+      // project into the domain's sections, in their configured order
       {
         $project: {
           student: 1,
           totalMark: 1,
-          sections: {
-            A: {
-              $filter: {
-                input: "$answers",
-                as: "a",
-                cond: { $eq: ["$$a.section", "A"] },
-              },
-            },
-            B: {
-              $filter: {
-                input: "$answers",
-                as: "a",
-                cond: { $eq: ["$$a.section", "B"] },
+          sections: Object.fromEntries(
+            sectionNames(domain).map((name) => [
+              name,
+              {
+                $filter: {
+                  input: "$answers",
+                  as: "a",
+                  cond: { $eq: ["$$a.section", name] },
+                },
               },
-            },
-          },
+            ])
+          ),
         },
       },
       { $sort: { "student.name": 1 } },
     ];
 
     const aggResults = await StudentAnswer.aggregate(pipeline);
+
+    // Maximum marks per section come from every active question in the domain,
+    // so unanswered questions still count towards the maximum. Within one test each
+    // student is measured against their own drawn paper instead.
+    const sectionMax = await sectionMaxMarks(req.params.id);
+    const attemptMax = new Map();
+    const attemptAccommodation = new Map();
+    if (matchStage.test) {
+      const attempts = await StudentTest.find({
+        test: matchStage.test,
+        selectedDomain: req.params.id,
+      })
+        .select("student questions selectedDomain selectedSection accommodation")
+        .lean();
+      const maxima = await attemptsSectionMaxMarks(attempts);
+      attempts.forEach((st, i) => {
+        attemptMax.set(String(st.student), maxima[i]);
+        attemptAccommodation.set(String(st.student), st.accommodation || null);
+      });
+    }
+
+    aggResults.forEach((result) => {
+      const studentMax = attemptMax.get(String(result._id)) || sectionMax;
+      const marks = { sections: {}, obtained: 0, max: 0 };
+      Object.entries(result.sections).forEach(([section, answers]) => {
+        let obtained = 0;
+        answers.forEach((a) => {
+          a.maxMarks = maxMarksFor(a.question);
+          obtained += a.mark !== null && a.mark !== undefined ? a.mark : 0;
+        });
+        const max = studentMax[section] || 0;
+        marks.sections[section] = { obtained, max };
+        marks.obtained += obtained;
+        marks.max += max;
+      });
+      result.marks = marks;
+      // Extra time the student received in this test, if any
+      result.accommodation = attemptAccommodation.get(String(result._id)) || null;
+    });
+
+    // How each answer was written: a revision count always, the full log with ?includeRevisions=true
+    const answerIds = aggResults.flatMap((r) =>
+      Object.values(r.sections).flatMap((answers) => answers.map((a) => a._id))
+    );
+    const revisionLog =
+      req.query.includeRevisions === "true"
+        ? await revisionsByAnswer(answerIds)
+        : null;
+    const revisionCounts = new Map(
+      (
+        await AnswerRevision.aggregate([
+          { $match: { answer: { $in: answerIds } } },
+          { $group: { _id: "$answer", count: { $sum: 1 } } },
+        ])
+      ).map((c) => [String(c._id), c.count])
+    );
+    aggResults.forEach((result) => {
+      Object.values(result.sections).forEach((answers) =>
+        answers.forEach((a) => {
+          a.revisionCount = revisionCounts.get(String(a._id)) || 0;
+          if (revisionLog) a.revisions = revisionLog.get(String(a._id)) || [];
+          // Attached files are downloaded through the API; storage details stay server-side
+          a.files = (a.files || []).map((f) => ({
+            _id: f._id,
+            originalName: f.originalName,
+            mimetype: f.mimetype,
+            size: f.size,
+            sha256: f.sha256,
+            uploadedAt: f.uploadedAt,
+            downloadUrl: `/student-answers/${a._id}/files/${f._id}`,
+          }));
+        })
+      );
+    });
+
+    // Matches from the latest similarity analysis of this test, with highlighted passages
+    if (matchStage.test) {
+      const similarity = await similarityByAnswer(matchStage.test, req.params.id);
+      aggResults.forEach((result) => {
+        Object.values(result.sections).forEach((answers) =>
+          answers.forEach((a) => {
+            a.similarity = similarity.get(String(a._id)) || {
+              maxScore: 0,
+              flagged: false,
+              matches: [],
+            };
+          })
+        );
+      });
+    }
     logger.info("Domain answers fetched successfully", {
       domainId: req.params.id,
       testId: testId || "all",
@@ -375,6 +579,80 @@ router.get("/:id/answers", auth, requireRole("staff"), async (req, res) => {
   }
 });
 
+// Staff: run the similarity analysis for every question of this domain in a test.
+// Runs in the background; poll GET /:id/similarity for the reports.
+router.post("/:id/similarity", auth, requireRole("staff"), async (req, res) => {
+  try {
+    const { testId } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(400).json({ message: "Invalid domain id" });
+    if (!mongoose.Types.ObjectId.isValid(testId))
+      return res.status(400).json({ message: "testId is required" });
+    const threshold = req.body?.threshold ?? DEFAULT_THRESHOLD;
+    const shingleSize = req.body?.shingleSize ?? DEFAULT_SHINGLE_SIZE;
+    if (typeof threshold !== "number" || threshold <= 0 || threshold > 1)
+      return res
+        .status(400)
+        .json({ message: "threshold must be a number above 0 and at most 1" });
+    if (!Number.isInteger(shingleSize) || shingleSize < 2 || shingleSize > 10)
+      return res
+        .status(400)
+        .json({ message: "shingleSize must be an integer from 2 to 10" });
+
+    const test = await Test.findOne({ _id: testId, domains: req.params.id })
+      .select("_id")
+      .lean();
+    if (!test)
+      return res
+        .status(404)
+        .json({ message: "Test not found for this domain" });
+
+    const questionIds = await queueSimilarityAnalysis({
+      testId,
+      domainId: req.params.id,
+      threshold,
+      shingleSize,
+      requestedBy: req.user._id,
+    });
+    logger.info("Similarity analysis queued", {
+      domainId: req.params.id,
+      testId,
+      questions: questionIds.length,
+      user: req.user?._id,
+    });
+    res.status(202).json({ queued: questionIds.length, questionIds });
+  } catch (e) {
+    logger.error("Queue similarity analysis error", { error: e.message });
+    res.status(500).json({ message: e.message });
+  }
+});
+
+// Staff: similarity reports of this domain in a test (optionally one ?questionId=)
+router.get("/:id/similarity", auth, requireRole("staff"), async (req, res) => {
+  try {
+    const { testId, questionId } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(400).json({ message: "Invalid domain id" });
+    if (!mongoose.Types.ObjectId.isValid(testId))
+      return res.status(400).json({ message: "testId is required" });
+    const filter = { domain: req.params.id, test: testId };
+    if (questionId) {
+      if (!mongoose.Types.ObjectId.isValid(questionId))
+        return res.status(400).json({ message: "Invalid question id" });
+      filter.question = questionId;
+    }
+    const reports = await SimilarityReport.find(filter)
+      .populate("question", "title section")
+      .populate("pairs.studentA pairs.studentB clusters.students", "name email")
+      .sort({ createdAt: 1 })
+      .lean();
+    res.json({ reports });
+  } catch (e) {
+    logger.error("Fetch similarity reports error", { error: e.message });
+    res.status(500).json({ message: e.message });
+  }
+});
+
 // Staff: list tests that include this domain (for filtering UI)
 router.get("/:id/tests", auth, requireRole("staff"), async (req, res) => {
   try {
@@ -442,6 +720,10 @@ router.get(
                 _id: r.test._id,
                 title: r.test.title || "",
               },
+              accommodation:
+                r.accommodation && r.accommodation.timeMultiplier > 1
+                  ? r.accommodation
+                  : null,
             });
           }
         }
@@ -463,7 +745,7 @@ router.put("/:id", auth, requireRole("staff"), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id))
       return res.status(400).json({ message: "Invalid domain id" });
-    const { name } = req.body;
+    const { name, maxQuestionsPerSection, drawCount, sections } = req.body;
     logger.info("Update domain attempt", {
       domainId: req.params.id,
       user: req.user?._id,
@@ -503,6 +785,40 @@ router.put("/:id", auth, requireRole("staff"), async (req, res) => {
       domain.name = name.trim();
     }
 
+    if (maxQuestionsPerSection !== undefined || drawCount !== undefined) {
+      if (
+        (maxQuestionsPerSection !== undefined &&
+          !isValidLimit(maxQuestionsPerSection)) ||
+        (drawCount !== undefined && !isValidLimit(drawCount))
+      ) {
+        return res.status(400).json({
+          message: "maxQuestionsPerSection and drawCount must be positive integers or null",
+        });
+      }
+      if (maxQuestionsPerSection !== undefined)
+        domain.maxQuestionsPerSection = maxQuestionsPerSection;
+      if (drawCount !== undefined) domain.drawCount = drawCount;
+    }
+
+    if (sections !== undefined) {
+      const sectionsError = validateSections(sections);
+      if (sectionsError) return res.status(400).json({ message: sectionsError });
+      const nextSections = normalizeSections(sections);
+      // Sections that still hold active questions cannot be dropped (or renamed away)
+      const keptNames = nextSections.map((s) => s.name);
+      const orphaned = await Question.distinct("section", {
+        domain: domain._id,
+        isActive: true,
+        section: { $nin: keptNames },
+      });
+      if (orphaned.length) {
+        return res.status(400).json({
+          message: `Move or delete the questions in section(s) ${orphaned.join(", ")} before removing them`,
+        });
+      }
+      domain.sections = nextSections;
+    }
+
     await domain.save();
     logger.info("Domain updated", { domainId: domain._id });
     res.json({ domain });
@@ -550,7 +866,12 @@ router.delete("/:id", auth, requireRole("staff"), async (req, res) => {
 
     // Delete associated questions and answers
     const qRes = await Question.deleteMany({ domain: req.params.id });
+    await removeAnswerFiles({ domain: req.params.id });
+    // Revisions hold the text of every edit; they go with their answers
+    const answerIds = await StudentAnswer.distinct("_id", { domain: req.params.id });
+    await AnswerRevision.deleteMany({ answer: { $in: answerIds } });
     const aRes = await StudentAnswer.deleteMany({ domain: req.params.id });
+    await SimilarityReport.deleteMany({ domain: req.params.id });
     await Domain.findByIdAndDelete(req.params.id);
 
     logger.info("Domain deleted", {
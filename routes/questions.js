@@ -4,6 +4,25 @@ import Domain from "../models/Domain.js";
 import { auth, requireRole } from "../middleware/auth.js";
 import mongoose from "mongoose";
 import logger from "../utils/logger.js";
+import {
+  STUDENT_PAPER_FIELDS,
+  validateMcqOptions,
+  normalizeMcqOptions,
+  gradeMcqAnswers,
+  validateRubric,
+  rubricMaxMarks,
+  validateCodeQuestion,
+  normalizeCodeQuestion,
+  gradeCodeAnswers,
+} from "../utils/grading.js";
+import {
+  checkQuestionAccess,
+  sendSessionError,
+} from "../utils/examSession.js";
+import { loadPaper } from "../utils/questionDraw.js";
+import { sectionNames } from "../utils/sections.js";
+import { clientInfo } from "../utils/devices.js";
+import { validateFileSettings } from "../utils/answerFiles.js";
 
 const router = express.Router();
 
@@ -28,8 +47,12 @@ const router = express.Router();
  *         name: section
  *         schema:
  *           type: string
- *           enum: [A, B]
  *         description: Filter by section (optional)
+ *       - in: query
+ *         name: testId
+ *         schema:
+ *           type: string
+ *         description: Required for students; the test whose running attempt covers this domain/section
  *     responses:
  *       200:
  *         description: Questions retrieved successfully
@@ -46,11 +69,13 @@ const router = express.Router();
  *         description: Invalid domain ID
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Student has no running, eligible attempt for this domain/section (see code)
  */
 // Get questions by domain ID
 router.get("/domain/:domainId", auth, async (req, res) => {
   try {
-    const { section } = req.query;
+    const { section, testId } = req.query;
 
     if (!mongoose.Types.ObjectId.isValid(req.params.domainId)) {
       logger.warn("Invalid domainId on questions by domain", {
@@ -59,6 +84,34 @@ router.get("/domain/:domainId", auth, async (req, res) => {
       return res.status(400).json({ message: "Invalid domain id" });
     }
 
+    // Students only see the questions of their own running attempt
+    if (req.user.role === "student") {
+      const access = await checkQuestionAccess({
+        studentId: req.user._id,
+        testId,
+        domainId: req.params.domainId,
+        section,
+        client: clientInfo(req),
+      });
+      if (access.error) {
+        logger.warn("Student question fetch refused", {
+          student: req.user._id,
+          domainId: req.params.domainId,
+          code: access.error.code,
+        });
+        return sendSessionError(res, access.error);
+      }
+      // The student's own paper, in their order, without the answer key
+      const paper = await loadPaper(
+        access.studentTest,
+        STUDENT_PAPER_FIELDS
+      );
+      const questions = section
+        ? paper.filter((q) => q.section === section)
+        : paper;
+      return res.json({ questions });
+    }
+
     const filter = {
       domain: req.params.domainId,
       isActive: true,
@@ -109,7 +162,6 @@ router.get("/domain/:domainId", auth, async (req, res) => {
  *         name: section
  *         schema:
  *           type: string
- *           enum: [A, B]
  *         description: Filter by section
  *       - in: query
  *         name: search
@@ -223,9 +275,7 @@ router.get("/", auth, requireRole("staff", "admin"), async (req, res) => {
  *                 description: Question description/content
  *               section:
  *                 type: string
- *                 enum: [A, B]
- *                 default: A
- *                 description: Question section
+ *                 description: One of the domain's section names (defaults to its first section)
  *               difficulty:
  *                 type: string
  *                 enum: [easy, medium, hard]
@@ -234,6 +284,41 @@ router.get("/", auth, requireRole("staff", "admin"), async (req, res) => {
  *               answerText:
  *                 type: string
  *                 description: Answer text (optional)
+ *               type:
+ *                 type: string
+ *                 enum: [mcq, text, file, code]
+ *                 default: text
+ *                 description: Question type
+ *               options:
+ *                 type: array
+ *                 description: Required for mcq; at least one option must be marked correct
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     text:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *                     isCorrect:
+ *                       type: boolean
+ *               allowMultiple:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Allow several correct options (multi-select)
+ *               maxMarks:
+ *                 type: number
+ *                 description: Highest mark an answer can receive (defaults to 1 for mcq, 10 otherwise)
+ *               rubric:
+ *                 type: array
+ *                 description: Grading criteria for text/file questions; maxMarks becomes the sum of maxPoints
+ *                 items:
+ *                   $ref: '#/components/schemas/RubricCriterion'
+ *               code:
+ *                 type: object
+ *                 description: Required for code questions (language, starterCode, visibleTests, hiddenTests, limits)
+ *               fileSettings:
+ *                 type: object
+ *                 description: File questions only; allowedTypes (extensions), maxSizeMb and maxFiles
  *     responses:
  *       201:
  *         description: Question created successfully
@@ -261,9 +346,17 @@ router.post(
       const {
         title,
         description,
-        section = "A",
+        section: requestedSection,
         difficulty = "medium",
         answerText,
+        // Questions created without a type are free-text, as before options existed
+        type = "text",
+        options,
+        allowMultiple = false,
+        maxMarks,
+        rubric,
+        code,
+        fileSettings,
       } = req.body;
 
       if (!title || !description) {
@@ -275,6 +368,60 @@ router.post(
           .json({ message: "Title and description are required" });
       }
 
+      if (!Question.schema.path("type").enumValues.includes(type)) {
+        return res.status(400).json({ message: "Invalid question type" });
+      }
+
+      if (type === "mcq") {
+        const optionsError = validateMcqOptions(options, allowMultiple);
+        if (optionsError) {
+          logger.warn("Create question failed: invalid options", {
+            user: req.user?._id,
+            reason: optionsError,
+          });
+          return res.status(400).json({ message: optionsError });
+        }
+      }
+
+      if (type === "code") {
+        const codeError = validateCodeQuestion(code);
+        if (codeError) return res.status(400).json({ message: codeError });
+      }
+
+      if (fileSettings !== undefined) {
+        if (type !== "file") {
+          return res
+            .status(400)
+            .json({ message: "fileSettings apply to file questions" });
+        }
+        const fileSettingsError = validateFileSettings(fileSettings);
+        if (fileSettingsError)
+          return res.status(400).json({ message: fileSettingsError });
+      }
+
+      if (
+        maxMarks !== undefined &&
+        (typeof maxMarks !== "number" || maxMarks < 0)
+      ) {
+        return res
+          .status(400)
+          .json({ message: "maxMarks must be a non-negative number" });
+      }
+
+      if (rubric !== undefined) {
+        if (
+          (type === "mcq" || type === "code") &&
+          Array.isArray(rubric) &&
+          rubric.length
+        ) {
+          return res
+            .status(400)
+            .json({ message: "Rubrics apply to text and file questions" });
+        }
+        const rubricError = validateRubric(rubric);
+        if (rubricError) return res.status(400).json({ message: rubricError });
+      }
+
       if (!mongoose.Types.ObjectId.isValid(req.params.domainId)) {
         logger.warn("Create question failed: invalid domainId", {
           domainId: req.params.domainId,
@@ -305,6 +452,13 @@ router.post(
           .json({ message: "Can only add questions to domains you created" });
       }
 
+      const section = requestedSection || sectionNames(domain)[0];
+      if (!sectionNames(domain).includes(section)) {
+        return res
+          .status(400)
+          .json({ message: `Section ${section} is not defined for this domain` });
+      }
+
       // Check for duplicate question (same title and description)
       const duplicateQuestion = await Question.findOne({
         domain: req.params.domainId,
@@ -325,23 +479,24 @@ router.post(
           });
       }
 
-      // Check if domain already has 5 questions for this section
-      const existingCount = await Question.countDocuments({
-        domain: req.params.domainId,
-        section,
-        isActive: true,
-      });
-
-      if (existingCount >= 5) {
-        logger.warn("Create question failed: section limit reached", {
-          domainId: req.params.domainId,
+      // Enforce the domain's pool cap for this section, if it has one
+      if (domain.maxQuestionsPerSection) {
+        const existingCount = await Question.countDocuments({
+          domain: req.params.domainId,
           section,
+          isActive: true,
         });
-        return res
-          .status(400)
-          .json({
-            message: `Domain already has maximum 5 questions for section ${section}`,
+
+        if (existingCount >= domain.maxQuestionsPerSection) {
+          logger.warn("Create question failed: section limit reached", {
+            domainId: req.params.domainId,
+            section,
+            limit: domain.maxQuestionsPerSection,
+          });
+          return res.status(400).json({
+            message: `Domain already has maximum ${domain.maxQuestionsPerSection} questions for section ${section}`,
           });
+        }
       }
 
       const questionData = {
@@ -350,8 +505,20 @@ router.post(
         domain: req.params.domainId,
         section,
         difficulty,
+        type,
         createdBy: req.user._id,
       };
+      if (type === "mcq") {
+        questionData.options = normalizeMcqOptions(options);
+        questionData.allowMultiple = allowMultiple === true;
+      }
+      if (type === "code") questionData.code = normalizeCodeQuestion(code);
+      if (type === "file" && fileSettings) questionData.fileSettings = fileSettings;
+      if (maxMarks !== undefined) questionData.maxMarks = maxMarks;
+      if (Array.isArray(rubric) && rubric.length) {
+        questionData.rubric = rubric;
+        questionData.maxMarks = rubricMaxMarks(rubric);
+      }
       if (typeof answerText === "string" && answerText.trim().length > 0) {
         questionData.answerText = answerText.trim();
       }
@@ -438,9 +605,38 @@ router.post(
  *                 enum: [easy, medium, hard]
  *               section:
  *                 type: string
- *                 enum: [A, B]
+ *                 description: One of the domain's section names
  *               answerText:
  *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [mcq, text, file, code]
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     text:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *                     isCorrect:
+ *                       type: boolean
+ *               allowMultiple:
+ *                 type: boolean
+ *               maxMarks:
+ *                 type: number
+ *               rubric:
+ *                 type: array
+ *                 description: Replaces the rubric; send an empty array to remove it
+ *                 items:
+ *                   $ref: '#/components/schemas/RubricCriterion'
+ *               code:
+ *                 type: object
+ *                 description: Replaces the code settings; submitted answers are re-run against them
+ *               fileSettings:
+ *                 type: object
+ *                 description: Replaces the file settings; applies to files attached after the change
  *     responses:
  *       200:
  *         description: Question updated successfully
@@ -458,7 +654,20 @@ router.post(
  */
 router.put("/:id", auth, requireRole("staff"), async (req, res) => {
   try {
-    const { title, description, difficulty, section, answerText } = req.body;
+    const {
+      title,
+      description,
+      difficulty,
+      section,
+      answerText,
+      type,
+      options,
+      allowMultiple,
+      maxMarks,
+      rubric,
+      code,
+      fileSettings,
+    } = req.body;
 
     const question = await Question.findById(req.params.id).populate("domain");
     if (!question)
@@ -478,10 +687,104 @@ router.put("/:id", auth, requireRole("staff"), async (req, res) => {
         .json({ message: "Can only edit questions in domains you created" });
     }
 
+    if (type && !Question.schema.path("type").enumValues.includes(type)) {
+      return res.status(400).json({ message: "Invalid question type" });
+    }
+    if (
+      maxMarks !== undefined &&
+      (typeof maxMarks !== "number" || maxMarks < 0)
+    ) {
+      return res
+        .status(400)
+        .json({ message: "maxMarks must be a non-negative number" });
+    }
+
+    const nextType = type || question.type;
+    const nextAllowMultiple =
+      typeof allowMultiple === "boolean"
+        ? allowMultiple
+        : question.allowMultiple;
+    // Re-validate the answer key whenever any part of it changes
+    const keyChanged =
+      options !== undefined ||
+      type === "mcq" ||
+      typeof allowMultiple === "boolean";
+    if (nextType === "mcq" && keyChanged) {
+      const nextOptions =
+        options !== undefined
+          ? options
+          : question.options.map((o) => o.toObject());
+      const optionsError = validateMcqOptions(nextOptions, nextAllowMultiple);
+      if (optionsError) return res.status(400).json({ message: optionsError });
+      question.options = normalizeMcqOptions(nextOptions);
+      question.allowMultiple = nextAllowMultiple;
+    } else if (type && type !== "mcq") {
+      question.options = [];
+      question.allowMultiple = false;
+    }
+
+    // Test cases and limits are validated as a whole whenever they change
+    const codeChanged = code !== undefined || type === "code";
+    if (nextType === "code" && codeChanged) {
+      const nextCode =
+        code !== undefined
+          ? code
+          : question.code && question.code.language
+          ? question.code.toObject()
+          : undefined;
+      const codeError = validateCodeQuestion(nextCode);
+      if (codeError) return res.status(400).json({ message: codeError });
+      question.code = normalizeCodeQuestion(nextCode);
+    } else if (type && type !== "code") {
+      question.code = undefined;
+    }
+
+    if (fileSettings !== undefined) {
+      if (nextType !== "file") {
+        return res
+          .status(400)
+          .json({ message: "fileSettings apply to file questions" });
+      }
+      const fileSettingsError = validateFileSettings(fileSettings);
+      if (fileSettingsError)
+        return res.status(400).json({ message: fileSettingsError });
+      question.fileSettings = fileSettings;
+    } else if (type && type !== "file") {
+      question.fileSettings = undefined;
+    }
+
+    if (section && !sectionNames(question.domain).includes(section)) {
+      return res
+        .status(400)
+        .json({ message: `Section ${section} is not defined for this domain` });
+    }
+
+    if (rubric !== undefined) {
+      if (
+        (nextType === "mcq" || nextType === "code") &&
+        Array.isArray(rubric) &&
+        rubric.length
+      ) {
+        return res
+          .status(400)
+          .json({ message: "Rubrics apply to text and file questions" });
+      }
+      const rubricError = validateRubric(rubric);
+      if (rubricError) return res.status(400).json({ message: rubricError });
+    }
+
     if (title) question.title = title.trim();
     if (description) question.description = description;
     if (difficulty) question.difficulty = difficulty;
     if (section) question.section = section;
+    if (type) question.type = type;
+    if (maxMarks !== undefined) question.maxMarks = maxMarks;
+    if (rubric !== undefined) question.rubric = rubric;
+    else if (type === "mcq" || type === "code") question.rubric = [];
+    // A rubric fixes the maximum at the sum of its criteria
+    if (question.rubric.length) {
+      question.maxMarks = rubricMaxMarks(question.rubric);
+    }
 
     question.answerText =
       typeof answerText === "string" && answerText.trim().length > 0
@@ -491,6 +794,23 @@ router.put("/:id", auth, requireRole("staff"), async (req, res) => {
     question.updatedBy = req.user._id;
     await question.save();
 
+    // Keep already-submitted MCQ marks in line with the new answer key
+    if (nextType === "mcq" && (keyChanged || maxMarks !== undefined)) {
+      await gradeMcqAnswers({ question: question._id });
+    }
+    // Re-running every submitted code answer can take a while, so it happens after the response
+    if (nextType === "code" && (codeChanged || maxMarks !== undefined)) {
+      const questionId = question._id;
+      setImmediate(() =>
+        gradeCodeAnswers({ question: questionId }, { force: true }).catch((e) =>
+          logger.error("Code answer regrade failed", {
+            questionId,
+            error: e.message,
+          })
+        )
+      );
+    }
+
     const updatedQuestion = await Question.findById(question._id)
       .populate("createdBy", "name")
       .populate("updatedBy", "name")
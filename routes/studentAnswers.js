@@ -1,88 +1,56 @@
   import express from 'express';
+import multer from 'multer';
 import StudentAnswer from '../models/StudentAnswer.js';
 import Test from '../models/Test.js';
 import Question from '../models/Question.js';
 import Domain from '../models/Domain.js';
 import StudentTest from '../models/StudentTest.js';
+import AnswerRevision from '../models/AnswerRevision.js';
 import cloudinary from '../config/cloudinary.js';
 import { auth, requireRole } from '../middleware/auth.js';
 import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
+import { startSession, checkAnswerWindow, timeRemaining, sendSessionError, findSectionTimer, isSectionOpen } from '../utils/examSession.js';
+import { isAutoGradable, gradeMcq, maxMarksFor, hasRubric, scoreRubric, buildFeedback, isResultsPublished, withoutGrades, runVisibleTests, gradeCodeAnswers } from '../utils/grading.js';
+import { recordRevision, revisionsByAnswer } from '../utils/revisions.js';
+import { clientInfo, recordDevice } from '../utils/devices.js';
+import { isLanguageAvailable } from '../utils/codeRunner.js';
+import { MAX_UPLOAD_BYTES, checkUpload, attachFile, detachFile, removeAnswerFiles } from '../utils/answerFiles.js';
+import { openFile } from '../utils/fileStorage.js';
 
 const router = express.Router();
 
-// Removed multer; answers are text-only now
+// Files for file-type questions arrive in memory; per-question type and size rules are
+// applied in utils/answerFiles.js once the question is known
+const answerFileUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+const acceptAnswerFile = (req, res, next) =>
+  answerFileUpload.single('file')(req, res, (err) => (err ? res.status(400).json({ message: err.message }) : next()));
 
-// Start exam session
+// Start exam session (legacy flow; shares the session rules of POST /tests/:id/start)
 router.post('/start-exam', auth, requireRole('student'), async (req, res) => {
     try {
       logger.info('Start exam session requested', { student: req.user._id, domainId: req.body?.domainId, section: req.body?.section });
-    const { domainId, section, testId } = req.body;
+    const { domainId, section, testId, accessCode, seatCode } = req.body;
 
-    if (!domainId || !section) {
-      return res.status(400).json({ message: 'Domain ID and section are required' });
+    if (!domainId || !section || !testId) {
+      return res.status(400).json({ message: 'Test ID, domain ID and section are required' });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(domainId)) {
-      logger.warn('Start exam failed: invalid domainId', { domainId });
-      return res.status(400).json({ message: 'Invalid domain id' });
-    }
-
-    // Check if domain exists
-    const domain = await Domain.findById(domainId);
-    if (!domain) {
-      return res.status(404).json({ message: 'Domain not found' });
-    }
-
-    // Check if student has already started this exam
-    const existingSession = await StudentAnswer.findOne({
-      student: req.user._id,
-      domain: domainId,
-      section
-    });
-
-    if (existingSession) {
-      // Check if exam time has expired
-      const now = new Date();
-      if (now > existingSession.examEndTime) {
-        logger.warn('Existing exam session expired', { student: req.user._id, domainId, section });
-        return res.status(403).json({
-          message: 'Exam time has expired',
-          examExpired: true
-        });
-      }
-
-      return res.json({
-        message: 'Exam session already exists',
-        examStartTime: existingSession.examStartTime,
-        examEndTime: existingSession.examEndTime,
-        timeRemaining: Math.max(0, existingSession.examEndTime - now)
-      });
-    }
-
-    // Create new exam session (2 hours duration)
-    const examStartTime = new Date();
-    const examEndTime = new Date(examStartTime.getTime() + (2 * 60 * 60 * 1000)); // 2 hours
-
-    // Optionally persist a StudentTest session when a testId is provided and valid
-    if (testId && mongoose.Types.ObjectId.isValid(testId)) {
-      try {
-        await StudentTest.findOneAndUpdate(
-          { student: req.user._id, test: testId },
-          { $set: { startTime: examStartTime, dueTime: examEndTime, status: 'in-progress', selectedDomain: domainId, selectedSection: section } },
-          { upsert: true }
-        );
-        logger.info('Persisted StudentTest session', { student: req.user._id, testId });
-      } catch (persistErr) {
-        logger.warn('Failed to persist StudentTest session (non-fatal)', { error: persistErr.message });
-      }
+    const client = clientInfo(req);
+    const session = await startSession({ studentId: req.user._id, testId, domainId, section, client, codes: { accessCode, seatCode } });
+    if (session.error) {
+      logger.warn('Start exam session refused', { student: req.user._id, testId, code: session.error.code });
+      return sendSessionError(res, session.error);
     }
 
+    const { studentTest } = session;
+    await recordDevice(studentTest._id, client, 'start');
     res.json({
-      message: 'Exam session started',
-      examStartTime,
-      examEndTime,
-      timeRemaining: 2 * 60 * 60 * 1000 // 2 hours in milliseconds
+      message: session.resumed ? 'Exam session already exists' : 'Exam session started',
+      examStartTime: studentTest.startTime,
+      examEndTime: studentTest.dueTime,
+      timeRemaining: timeRemaining(studentTest),
+      sectionTimers: studentTest.sectionTimers
     });
   } catch (error) {
     logger.error('Start exam session failed', { error: error.message, student: req.user?._id });
@@ -94,9 +62,10 @@ router.post('/start-exam', auth, requireRole('student'), async (req, res) => {
 router.post('/submit', auth, requireRole('student'), async (req, res) => {
     try {
       logger.info('Submit answer attempt', { student: req.user._id, questionId: req.body?.questionId, domainId: req.body?.domainId });
-    const { questionId, domainId, section, examStartTime, answerText, testId } = req.body;
+    // examStartTime from older clients is ignored; the deadline comes from the stored attempt
+    const { questionId, domainId, section, answerText, testId, selectedOptions } = req.body;
 
-    if (!questionId || !domainId || !section || !examStartTime) {
+    if (!questionId || !domainId || !section || !testId) {
       return res.status(400).json({ message: 'Missing required fields' });
     }
 
@@ -117,23 +86,23 @@ router.post('/submit', auth, requireRole('student'), async (req, res) => {
       return res.status(404).json({ message: 'Domain not found' });
     }
 
-    // Check exam time validity
-    const startTime = new Date(examStartTime);
-    const endTime = new Date(startTime.getTime() + (2 * 60 * 60 * 1000)); // 2 hours
-    const now = new Date();
-
-    if (now > endTime) {
-      return res.status(403).json({
-        message: 'Exam time has expired',
-        examExpired: true
-      });
+    // Check exam time validity against the attempt's stored deadline
+    const client = clientInfo(req);
+    const session = await checkAnswerWindow({ studentId: req.user._id, testId, domainId, section, question, client });
+    if (session.error) {
+      logger.warn('Submit answer refused', { student: req.user._id, testId, questionId, code: session.error.code });
+      return sendSessionError(res, session.error);
     }
+    const { studentTest } = session;
+    const now = new Date();
+    await recordDevice(studentTest._id, client, 'answer', now);
 
     // Check if answer already exists
     let existingAnswer = await StudentAnswer.findOne({
       student: req.user._id,
       question: questionId,
       domain: domainId,
+      test: testId,
       section
     });
 
@@ -141,11 +110,12 @@ router.post('/submit', auth, requireRole('student'), async (req, res) => {
       student: req.user._id,
       domain: domainId,
       question: questionId,
-      test: testId || undefined,
+      test: testId,
       section,
-      examStartTime: startTime,
-      examEndTime: endTime,
-      submittedAt: now
+      examStartTime: studentTest.startTime,
+      examEndTime: studentTest.dueTime,
+      submittedAt: now,
+      isSubmitted: true
     };
 
     if (typeof answerText === 'string' && answerText.trim().length > 0) {
@@ -161,29 +131,58 @@ router.post('/submit', auth, requireRole('student'), async (req, res) => {
       if (req.body.imagePublicId) answerData.imagePublicId = req.body.imagePublicId;
     }
 
-    // Ensure text is provided
-    if (!(typeof answerText === 'string' && answerText.trim().length > 0)) {
-      return res.status(400).json({ message: 'Answer text is required' });
+    if (isAutoGradable(question)) {
+      // MCQ: validate the picked option values and score immediately; the mark stays server-side
+      // until results are published so students cannot probe options by resubmitting
+      if (!Array.isArray(selectedOptions) || selectedOptions.length === 0) {
+        return res.status(400).json({ message: 'selectedOptions is required for MCQ questions' });
+      }
+      const picked = [...new Set(selectedOptions.map(String))];
+      const validValues = question.options.map((o) => String(o.value));
+      if (picked.some((v) => !validValues.includes(v))) {
+        return res.status(400).json({ message: 'selectedOptions contains an unknown option' });
+      }
+      if (!question.allowMultiple && picked.length > 1) {
+        return res.status(400).json({ message: 'Only one option may be selected for this question' });
+      }
+      answerData.selectedOptions = picked;
+      answerData.mark = gradeMcq(question, picked);
+      answerData.autoGraded = true;
+    } else if (question.type === 'file' && existingAnswer && existingAnswer.files && existingAnswer.files.length) {
+      // Attached files are the answer; text is an optional note
+    } else if (!(typeof answerText === 'string' && answerText.trim().length > 0)) {
+      // Ensure text is provided
+      return res.status(400).json({
+        message: question.type === 'file' ? 'Attach a file or enter answer text' : 'Answer text is required'
+      });
+    } else if (question.type === 'code') {
+      // Code is graded against the test cases after the response; until then it has no mark
+      answerData.mark = null;
+      answerData.autoGraded = false;
+      answerData.codeResult = undefined;
     }
 
+    // Answers started as drafts keep their document; the revision log keeps every version
+    const wasSubmitted = existingAnswer && existingAnswer.isSubmitted !== false;
     if (existingAnswer) {
-      // Update existing answer
       Object.assign(existingAnswer, answerData);
       await existingAnswer.save();
-
-      logger.info('Answer updated', { answerId: existingAnswer._id, student: req.user._id });
-      res.json({
-        message: 'Answer updated successfully',
-        answer: existingAnswer
-      });
     } else {
-      // Create new answer
-      const newAnswer = await StudentAnswer.create(answerData);
-      logger.info('Answer submitted', { answerId: newAnswer._id, student: req.user._id });
-      res.json({
-        message: 'Answer submitted successfully',
-        answer: newAnswer
-      });
+      existingAnswer = await StudentAnswer.create(answerData);
+    }
+    await recordRevision(existingAnswer, 'submit', { answerText: answerData.answerText, selectedOptions: answerData.selectedOptions });
+
+    logger.info(wasSubmitted ? 'Answer updated' : 'Answer submitted', { answerId: existingAnswer._id, student: req.user._id });
+    res.json({
+      message: wasSubmitted ? 'Answer updated successfully' : 'Answer submitted successfully',
+      answer: withoutGrades(existingAnswer)
+    });
+
+    if (question.type === 'code') {
+      const answerId = existingAnswer._id;
+      setImmediate(() => gradeCodeAnswers({ _id: answerId }).catch((e) => {
+        logger.error('Code answer grading failed', { answerId, error: e.message });
+      }));
     }
   } catch (error) {
     logger.error('Submit answer failed', { error: error.message, student: req.user?._id });
@@ -191,6 +190,243 @@ router.post('/submit', auth, requireRole('student'), async (req, res) => {
   }
 });
 
+// Attach a file to the answer of a file question (multipart: file plus testId, domainId, section,
+// questionId). The answer stays a draft until it is submitted.
+router.post('/files', auth, requireRole('student'), acceptAnswerFile, async (req, res) => {
+  try {
+    const { questionId, domainId, section, testId } = req.body;
+    if (!questionId || !domainId || !section || !testId) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+    if (!req.file) return res.status(400).json({ message: 'No file provided' });
+    if (!mongoose.Types.ObjectId.isValid(questionId) || !mongoose.Types.ObjectId.isValid(domainId)) {
+      return res.status(400).json({ message: 'Invalid questionId or domainId' });
+    }
+
+    const question = await Question.findById(questionId).select('domain section isActive type fileSettings');
+    if (!question) return res.status(404).json({ message: 'Question not found' });
+    if (question.type !== 'file') return res.status(400).json({ message: 'Files can only be attached to file questions' });
+
+    const session = await checkAnswerWindow({ studentId: req.user._id, testId, domainId, section, question, client: clientInfo(req) });
+    if (session.error) {
+      logger.warn('File upload refused', { student: req.user._id, testId, questionId, code: session.error.code });
+      return sendSessionError(res, session.error);
+    }
+    const checked = checkUpload(question, req.file);
+    if (checked.error) {
+      logger.warn('Answer file rejected', { student: req.user._id, questionId, filename: req.file.originalname, reason: checked.error });
+      return res.status(400).json({ message: checked.error });
+    }
+
+    const { studentTest } = session;
+    const now = new Date();
+    const answer = await StudentAnswer.findOneAndUpdate(
+      { student: req.user._id, question: questionId, domain: domainId, test: testId, section },
+      { $setOnInsert: { isSubmitted: false, examStartTime: studentTest.startTime, examEndTime: studentTest.dueTime, submittedAt: now } },
+      { upsert: true, new: true }
+    );
+    const attached = await attachFile(answer, question, req.file, checked.mimetype);
+    if (attached.error) return res.status(400).json({ message: attached.error });
+
+    res.status(201).json({ message: 'File attached', answerId: answer._id, file: attached.file, files: attached.answer.files });
+  } catch (error) {
+    logger.error('Attach answer file failed', { error: error.message, student: req.user?._id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove an attached file while the question can still be answered
+router.delete('/:answerId/files/:fileId', auth, requireRole('student'), async (req, res) => {
+  try {
+    const { answerId, fileId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(answerId) || !mongoose.Types.ObjectId.isValid(fileId)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+    const answer = await StudentAnswer.findOne({ _id: answerId, student: req.user._id }).select('test domain section question').lean();
+    if (!answer) return res.status(404).json({ message: 'Answer not found' });
+    const question = await Question.findById(answer.question).select('domain section isActive');
+    const session = await checkAnswerWindow({
+      studentId: req.user._id,
+      testId: answer.test,
+      domainId: answer.domain,
+      section: answer.section,
+      question,
+      client: clientInfo(req)
+    });
+    if (session.error) return sendSessionError(res, session.error);
+
+    if (!(await detachFile(answerId, fileId))) return res.status(404).json({ message: 'File not found' });
+    res.json({ message: 'File removed' });
+  } catch (error) {
+    logger.error('Remove answer file failed', { error: error.message, student: req.user?._id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download an attached file: staff and admins from the grading views, students their own
+router.get('/:answerId/files/:fileId', auth, requireRole('student', 'staff', 'admin'), async (req, res) => {
+  try {
+    const { answerId, fileId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(answerId) || !mongoose.Types.ObjectId.isValid(fileId)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+    const filter = { _id: answerId };
+    if (req.user.role === 'student') filter.student = req.user._id;
+    const answer = await StudentAnswer.findOne(filter).select('student files').lean();
+    const file = answer && (answer.files || []).find((f) => String(f._id) === fileId);
+    if (!file) return res.status(404).json({ message: 'File not found' });
+
+    let stream;
+    try {
+      stream = await openFile(file);
+    } catch (e) {
+      logger.error('Stored answer file missing', { answerId, fileId, storageKey: file.storageKey, error: e.message });
+      return res.status(404).json({ message: 'File is no longer available' });
+    }
+    logger.info('Answer file downloaded', { answerId, fileId, userId: req.user._id, role: req.user.role });
+    // Always a download, never rendered inline by the browser
+    res.attachment(file.originalName);
+    res.set({ 'Content-Type': file.mimetype, 'Content-Length': file.size });
+    stream.on('error', (e) => {
+      logger.error('Answer file stream failed', { answerId, fileId, error: e.message });
+      res.destroy(e);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error('Download answer file failed', { error: error.message, userId: req.user?._id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Students running code against the visible test cases; one run at a time per student
+const activeCodeRuns = new Set();
+const MAX_RUN_OUTPUT = 4096;
+
+// Run code against a code question's visible test cases without submitting it
+router.post('/run-code', auth, requireRole('student'), async (req, res) => {
+  const runKey = String(req.user._id);
+  let running = false;
+  try {
+    const { questionId, domainId, section, testId, code } = req.body;
+    if (!questionId || !domainId || !section || !testId) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(questionId)) return res.status(400).json({ message: 'Invalid questionId' });
+    if (typeof code !== 'string' || !code.trim() || code.length > 10000) {
+      return res.status(400).json({ message: 'code must be a non-empty string of at most 10000 characters' });
+    }
+
+    const question = await Question.findById(questionId).select('domain section isActive type code maxMarks');
+    if (!question) return res.status(404).json({ message: 'Question not found' });
+    if (question.type !== 'code' || !question.code || !question.code.language) {
+      return res.status(400).json({ message: 'This is not a code question' });
+    }
+    if (!question.code.visibleTests.length) return res.status(400).json({ message: 'This question has no visible tests' });
+    if (!isLanguageAvailable(question.code.language)) {
+      return res.status(503).json({ code: 'LANGUAGE_UNAVAILABLE', message: `${question.code.language} code cannot be run on this server` });
+    }
+
+    // Running uses the same window as submitting, so time-expired sections cannot be probed
+    const session = await checkAnswerWindow({ studentId: req.user._id, testId, domainId, section, question, client: clientInfo(req) });
+    if (session.error) {
+      logger.warn('Run code refused', { student: req.user._id, testId, questionId, code: session.error.code });
+      return sendSessionError(res, session.error);
+    }
+
+    if (activeCodeRuns.has(runKey)) {
+      return res.status(429).json({ code: 'RUN_IN_PROGRESS', message: 'Your previous run has not finished yet' });
+    }
+    activeCodeRuns.add(runKey);
+    running = true;
+    const runs = await runVisibleTests(question.toObject(), code);
+    const results = question.code.visibleTests.map((c, i) => ({
+      name: c.name,
+      input: c.input,
+      expectedOutput: c.expectedOutput,
+      stdout: runs[i].stdout.slice(0, MAX_RUN_OUTPUT),
+      stderr: runs[i].stderr.slice(0, MAX_RUN_OUTPUT),
+      status: runs[i].status,
+      passed: runs[i].passed,
+      timeMs: runs[i].timeMs
+    }));
+    logger.info('Code run', { student: req.user._id, questionId, passed: results.filter(r => r.passed).length, total: results.length });
+    res.json({ passed: results.filter(r => r.passed).length, total: results.length, results });
+  } catch (error) {
+    logger.error('Run code failed', { error: error.message, student: req.user?._id });
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (running) activeCodeRuns.delete(runKey);
+  }
+});
+
+// Autosave work in progress for a question. Drafts are not graded; an answer that was never
+// submitted is submitted from its draft when the attempt ends.
+router.post('/draft', auth, requireRole('student'), async (req, res) => {
+    try {
+    const { questionId, domainId, section, testId, answerText, selectedOptions } = req.body;
+
+    if (!questionId || !domainId || !section || !testId) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(questionId) || !mongoose.Types.ObjectId.isValid(domainId)) {
+      return res.status(400).json({ message: 'Invalid questionId or domainId' });
+    }
+    if (answerText !== undefined && (typeof answerText !== 'string' || answerText.length > 10000)) {
+      return res.status(400).json({ message: 'answerText must be a string of at most 10000 characters' });
+    }
+    if (selectedOptions !== undefined && (!Array.isArray(selectedOptions) || selectedOptions.length > 50)) {
+      return res.status(400).json({ message: 'selectedOptions must be an array' });
+    }
+
+    const question = await Question.findById(questionId).select('domain section isActive');
+    if (!question) return res.status(404).json({ message: 'Question not found' });
+
+    const session = await checkAnswerWindow({ studentId: req.user._id, testId, domainId, section, question, client: clientInfo(req) });
+    if (session.error) {
+      logger.warn('Save draft refused', { student: req.user._id, testId, questionId, code: session.error.code });
+      return sendSessionError(res, session.error);
+    }
+    const { studentTest } = session;
+    const now = new Date();
+    const draft = {
+      answerText,
+      selectedOptions: selectedOptions ? [...new Set(selectedOptions.map(String))] : undefined,
+      savedAt: now
+    };
+
+    const answer = await StudentAnswer.findOneAndUpdate(
+      { student: req.user._id, question: questionId, domain: domainId, test: testId, section },
+      {
+        $set: { draft },
+        $setOnInsert: { isSubmitted: false, examStartTime: studentTest.startTime, examEndTime: studentTest.dueTime, submittedAt: now }
+      },
+      { upsert: true, new: true }
+    );
+    const revision = await recordRevision(answer, 'draft', draft);
+
+    res.json({ message: 'Draft saved', savedAt: now, answerId: answer._id, revision: revision ? revision.contentHash : null });
+  } catch (error) {
+    logger.error('Save draft failed', { error: error.message, student: req.user?._id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Staff: full revision log of one answer, oldest first, to replay how it was written
+router.get('/:answerId/revisions', auth, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    const { answerId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(answerId)) return res.status(400).json({ message: 'Invalid answer id' });
+    const answer = await StudentAnswer.findById(answerId).select('student question test').lean();
+    if (!answer) return res.status(404).json({ message: 'Answer not found' });
+    const revisions = (await revisionsByAnswer([answer._id])).get(String(answer._id)) || [];
+    logger.info('Fetched answer revisions', { staff: req.user._id, answerId, count: revisions.length });
+    res.json({ answer, revisions });
+  } catch (error) {
+    logger.error('Fetch answer revisions failed', { error: error.message, answerId: req.params?.answerId });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Staff: add a mark for a student's specific answer (first time)
 router.post('/marks/add', auth, requireRole('staff'), async (req, res) => {
     try {
@@ -205,10 +441,26 @@ router.post('/marks/add', auth, requireRole('staff'), async (req, res) => {
       return res.status(400).json({ message: 'Invalid answer id' });
     }
 
+    const target = await StudentAnswer.findById(answerId).select('question answerText').populate('question', 'type options maxMarks rubric');
+    if (!target) return res.status(404).json({ message: 'Answer not found' });
+    if (isAutoGradable(target.question)) {
+      return res.status(400).json({ message: 'MCQ answers are graded automatically' });
+    }
+    if (hasRubric(target.question)) {
+      return res.status(400).json({ message: 'This question uses a rubric. Use the rubric marks endpoint.' });
+    }
+    const maxMarks = maxMarksFor(target.question);
+    if (mark > maxMarks) {
+      logger.warn('Mark exceeds question maximum', { answerId, mark, maxMarks, staff: req.user._id });
+      return res.status(400).json({ message: `mark cannot exceed ${maxMarks} for this question`, maxMarks });
+    }
+    const { feedback, error: feedbackError } = buildFeedback(req.body, target.answerText, req.user._id);
+    if (feedbackError) return res.status(400).json({ message: feedbackError });
+
     // Atomic update: only set mark if currently null/undefined
     const updatedAnswer = await StudentAnswer.findOneAndUpdate(
       { _id: answerId, $or: [{ mark: null }, { mark: { $exists: false } }] },
-      { $set: { mark, markSubmitted: true } },
+      { $set: feedback ? { mark, markSubmitted: true, feedback } : { mark, markSubmitted: true } },
       { new: true }
     )
       .populate('student', 'name email')
@@ -244,10 +496,26 @@ router.put('/marks/edit/:id', auth, requireRole('staff'), async (req, res) => {
       return res.status(400).json({ message: 'Invalid answer id' });
     }
 
+    const target = await StudentAnswer.findById(answerId).select('question answerText').populate('question', 'type options maxMarks rubric');
+    if (!target) return res.status(404).json({ message: 'Answer not found' });
+    if (isAutoGradable(target.question)) {
+      return res.status(400).json({ message: 'MCQ answers are graded automatically' });
+    }
+    if (hasRubric(target.question)) {
+      return res.status(400).json({ message: 'This question uses a rubric. Use the rubric marks endpoint.' });
+    }
+    const maxMarks = maxMarksFor(target.question);
+    if (mark > maxMarks) {
+      logger.warn('Mark exceeds question maximum', { answerId, mark, maxMarks, staff: req.user._id });
+      return res.status(400).json({ message: `mark cannot exceed ${maxMarks} for this question`, maxMarks });
+    }
+    const { feedback, error: feedbackError } = buildFeedback(req.body, target.answerText, req.user._id);
+    if (feedbackError) return res.status(400).json({ message: feedbackError });
+
     // Atomic update: only allow edit if a mark already exists
     const updatedAnswer = await StudentAnswer.findOneAndUpdate(
       { _id: answerId, mark: { $ne: null } },
-      { $set: { mark } },
+      { $set: feedback ? { mark, feedback } : { mark } },
       { new: true }
     )
       .populate('student', 'name email')
@@ -267,6 +535,50 @@ router.put('/marks/edit/:id', auth, requireRole('staff'), async (req, res) => {
   }
 });
 
+// Staff: score a rubric-graded answer per criterion; the stored mark is the sum of the criterion scores.
+// Sets the scores on first use and replaces them on later calls.
+router.post('/marks/rubric', auth, requireRole('staff'), async (req, res) => {
+    try {
+      const { answerId, scores } = req.body;
+      logger.info('Rubric marks requested', { staff: req.user._id, answerId });
+
+    if (!mongoose.Types.ObjectId.isValid(answerId)) {
+      logger.warn('Rubric marks failed: invalid answerId', { answerId });
+      return res.status(400).json({ message: 'Invalid answer id' });
+    }
+
+    const answer = await StudentAnswer.findById(answerId).populate('question', 'type rubric');
+    if (!answer) return res.status(404).json({ message: 'Answer not found' });
+    if (!hasRubric(answer.question)) {
+      return res.status(400).json({ message: 'This question has no rubric. Use the add/edit marks endpoints.' });
+    }
+
+    const result = scoreRubric(answer.question, scores);
+    if (result.error) {
+      logger.warn('Rubric marks rejected', { answerId, reason: result.error, staff: req.user._id });
+      return res.status(400).json({ message: result.error });
+    }
+    const { feedback, error: feedbackError } = buildFeedback(req.body, answer.answerText, req.user._id);
+    if (feedbackError) return res.status(400).json({ message: feedbackError });
+
+    const update = { rubricScores: result.rubricScores, mark: result.mark, markSubmitted: true };
+    if (feedback) update.feedback = feedback;
+    const updatedAnswer = await StudentAnswer.findByIdAndUpdate(
+      answerId,
+      { $set: update },
+      { new: true }
+    )
+      .populate('student', 'name email')
+      .populate('question', 'title section rubric maxMarks');
+
+    logger.info('Rubric marks saved', { answerId, mark: result.mark, staff: req.user._id });
+    res.json({ message: 'Rubric marks saved successfully', answer: updatedAnswer });
+  } catch (e) {
+    logger.error('Rubric marks failed', { error: e.message, staff: req.user?._id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Staff: calculate and persist total marks for a student in a domain (optional filter by test)
 router.post('/calculate-total', auth, requireRole('staff'), async (req, res) => {
     try {
@@ -286,7 +598,11 @@ router.post('/calculate-total', auth, requireRole('staff'), async (req, res) =>
     // Persist to StudentTest if testId provided
     if (testId) {
       if (!mongoose.Types.ObjectId.isValid(testId)) return res.status(400).json({ message: 'Invalid test id' });
-      await Test.findById(testId); // ensure exists (optional)
+      const test = await Test.findById(testId).select('resultStatus').lean();
+      // Published scores are frozen; move results back to review before recalculating
+      if (isResultsPublished(test)) {
+        return res.status(409).json({ message: 'Results for this test are already published' });
+      }
       await StudentTest.findOneAndUpdate(
         { student: studentId, test: testId },
         { $set: { score: total } },
@@ -370,7 +686,7 @@ router.delete('/answers/image/:id', auth, requireRole('staff'), async (req, res)
   }
 });
 
-// Staff: delete entire student answer (and Cloudinary image if present)
+// Staff: delete entire student answer (with its revisions, and its Cloudinary image and attached files, if any)
 router.delete('/answers/:id', auth, requireRole('staff'), async (req, res) => {
     try {
       const { id } = req.params;
@@ -386,6 +702,8 @@ router.delete('/answers/:id', auth, requireRole('staff'), async (req, res) => {
           logger.warn('Cloudinary destroy failed for', { publicId: answer.imagePublicId, error: e.message });
         }
     }
+    await removeAnswerFiles({ _id: answer._id });
+    await AnswerRevision.deleteMany({ answer: answer._id });
 
     await StudentAnswer.findByIdAndDelete(id);
     logger.info('Student answer deleted', { answerId: id, staff: req.user._id });
@@ -412,21 +730,86 @@ router.get('/my-answers/:domainId/:section', auth, requireRole('student'), async
       .sort({ submittedAt: -1 })
       .lean();
 
+    // Marks, rubric scores, feedback and code results only once the test's results are published
+    const published = await Test.find({ _id: { $in: [...new Set(answers.filter((a) => a.test).map((a) => String(a.test)))] }, resultStatus: 'published' })
+      .distinct('_id');
+    const publishedIds = new Set(published.map(String));
+    const visible = answers.map((a) => (a.test && publishedIds.has(String(a.test)) ? a : withoutGrades(a)));
+
     logger.info('My answers fetched', { student: req.user._id, count: answers.length });
-    res.json({ answers });
+    res.json({ answers: visible });
   } catch (error) {
     logger.error('Fetch my answers failed', { error: error.message, student: req.user?._id });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Student: marks and grader feedback for a domain/section, only for tests whose results are published
+router.get('/my-feedback/:domainId/:section', auth, requireRole('student'), async (req, res) => {
+    try {
+      logger.info('Fetching my feedback', { student: req.user._id, domainId: req.params?.domainId, section: req.params?.section });
+    const { domainId, section } = req.params;
+    const { testId } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(domainId)) return res.status(400).json({ message: 'Invalid domain id' });
+    if (testId && !mongoose.Types.ObjectId.isValid(testId)) return res.status(400).json({ message: 'Invalid test id' });
+
+    const filter = { student: req.user._id, domain: domainId, section };
+    if (testId) filter.test = testId;
+
+    const answers = await StudentAnswer.find(filter)
+      .select('question test answerText selectedOptions mark rubricScores codeResult.passed codeResult.total codeResult.cases feedback.comment feedback.annotations feedback.updatedAt submittedAt')
+      .populate('question', 'title description type maxMarks rubric')
+      .populate('test', 'title resultStatus resultsPublishedAt')
+      .sort({ submittedAt: -1 })
+      .lean();
+
+    const released = [];
+    let pending = 0;
+    answers.forEach((a) => {
+      if (!isResultsPublished(a.test)) {
+        pending += 1;
+        return;
+      }
+      released.push({ ...a, maxMarks: maxMarksFor(a.question) });
+    });
+
+    logger.info('My feedback fetched', { student: req.user._id, released: released.length, pending });
+    res.json({ answers: released, pending });
+  } catch (error) {
+    logger.error('Fetch my feedback failed', { error: error.message, student: req.user?._id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Check exam status
 router.get('/exam-status/:domainId/:section', auth, requireRole('student'), async (req, res) => {
     try {
       logger.info('Checking exam status', { student: req.user._id, domainId: req.params?.domainId, section: req.params?.section });
     const { domainId, section } = req.params;
+    const { testId } = req.query;
     if (!mongoose.Types.ObjectId.isValid(domainId)) return res.status(400).json({ message: 'Invalid domain id' });
 
+    // With a testId the stored attempt is authoritative; older clients fall back to their first answer
+    if (testId) {
+      if (!mongoose.Types.ObjectId.isValid(testId)) return res.status(400).json({ message: 'Invalid test id' });
+      const st = await StudentTest.findOne({ student: req.user._id, test: testId, selectedDomain: domainId }).lean();
+      const timer = st && findSectionTimer(st, section);
+      if (!st || !st.dueTime || (!timer && st.selectedSection !== section)) {
+        return res.json({ hasStarted: false, message: 'No exam session found' });
+      }
+      const now = new Date();
+      // A section's own clock, when it has one, ends before (or with) the attempt
+      const sectionDue = timer ? timer.dueTime : st.dueTime;
+      return res.json({
+        hasStarted: true,
+        examStartTime: timer ? timer.enteredAt : st.startTime,
+        examEndTime: sectionDue,
+        timeRemaining: timeRemaining({ dueTime: sectionDue }, now),
+        hasExpired: st.status === 'expired' || now > st.dueTime || (timer ? !isSectionOpen(timer, now) : false),
+        sectionLockedAt: timer ? timer.lockedAt : null
+      });
+    }
+
     const existingSession = await StudentAnswer.findOne({
       student: req.user._id,
       domain: domainId,
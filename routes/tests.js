@@ -1,26 +1,97 @@
 
 import express from 'express';
+import multer from 'multer';
 import Test from '../models/Test.js';
 import StudentTest from '../models/StudentTest.js';
-import Question from '../models/Question.js';
 import Domain from '../models/Domain.js';
 import mongoose from 'mongoose';
 import { auth, requireRole } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
+import { recalculateTestScores, isResultsPublished, attemptsSectionMaxMarks, STUDENT_PAPER_FIELDS } from '../utils/grading.js';
+import StudentAnswer from '../models/StudentAnswer.js';
+import { startSession, enterSection, sendSessionError, isEligible, timeRemaining } from '../utils/examSession.js';
+import { scheduledStatus, syncStatus } from '../utils/testLifecycle.js';
+import { validateDrawRules, loadPaper } from '../utils/questionDraw.js';
+import { claimFinalization, finalizeAttempt, closeAttempt } from '../utils/expirySweeper.js';
+import { issueReceipt } from '../utils/receipts.js';
+import { validateAdjustment, adjustAttempt, adjustTestAttempts, refitTestDeadlines } from '../utils/attemptControl.js';
+import { validateAccommodations, normalizeAccommodation } from '../utils/accommodations.js';
+import { validateProctoringSettings, parseEventBatch, recordEvents, attemptTimeline } from '../utils/proctoring.js';
+import { validateSnapshotSettings, captureSnapshot, applyRetention, purgeSnapshots } from '../utils/snapshots.js';
+import { clientInfo, recordDevice, validateIpAllowlist, deviceReport } from '../utils/devices.js';
+import { validateAccessControl, validateAccessCodeInput, createAccessCode, describeAccessCode, issueSeatCodes } from '../utils/accessCodes.js';
+import AccessCode from '../models/AccessCode.js';
+import SeatCode from '../models/SeatCode.js';
+import CodeFailure from '../models/CodeFailure.js';
+import User from '../models/User.js';
+import ProctorEvent from '../models/ProctorEvent.js';
+import AnswerRevision from '../models/AnswerRevision.js';
+import WebcamSnapshot from '../models/WebcamSnapshot.js';
+import SimilarityReport from '../models/SimilarityReport.js';
+import { sectionNames, validateSectionTimeLimits } from '../utils/sections.js';
+import { openFile } from '../utils/fileStorage.js';
 
 const router = express.Router();
 
-function computeStatus(t) {
-  const now = Date.now();
-  if (now < new Date(t.startDate).getTime()) return 'inactive';
-  if (now > new Date(t.endDate).getTime()) return 'finished';
-  return 'active';
-}
-
 function isValidId(id) {
   return mongoose.Types.ObjectId.isValid(String(id));
 }
 
+// Test fields students may see; accommodations, eligibility, proctoring, access and IP settings stay with staff
+const STUDENT_TEST_FIELDS =
+  'title domains startDate endDate durationMinutes sections status sectionTimeLimits snapshots.enabled snapshots.intervalSeconds resultStatus resultsPublishedAt createdAt updatedAt';
+
+// A student's own attempt as sent to them, without proctoring, device or grading records
+function studentAttemptView(st) {
+  return {
+    _id: st._id,
+    test: st.test,
+    status: st.status,
+    endReason: st.endReason,
+    selectedDomain: st.selectedDomain,
+    selectedSection: st.selectedSection,
+    startTime: st.startTime,
+    dueTime: st.dueTime,
+    endTime: st.endTime,
+    pausedAt: st.pausedAt,
+    accommodation: st.accommodation,
+    sectionTimers: st.sectionTimers,
+    receipt: st.receipt && st.receipt.hash ? st.receipt : null
+  };
+}
+
+// Webcam frames arrive as small images in memory; storage happens in utils/snapshots.js
+const snapshotUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'image/jpeg' || file.mimetype === 'image/png' || file.mimetype === 'image/webp') cb(null, true);
+    else cb(new Error('Snapshots must be JPEG, PNG or WebP images'), false);
+  }
+});
+const acceptSnapshot = (req, res, next) =>
+  snapshotUpload.single('image')(req, res, (err) => (err ? res.status(400).json({ message: err.message }) : next()));
+
+// Allowed result lifecycle moves; published results can be pulled back for review
+const RESULT_TRANSITIONS = {
+  grading: ['under-review'],
+  'under-review': ['grading', 'published'],
+  published: ['under-review']
+};
+
+// Move a test's results to the next lifecycle state; scores are recomputed on publish
+async function transitionResults(test, next) {
+  const current = test.resultStatus || 'grading';
+  if (!(RESULT_TRANSITIONS[current] || []).includes(next)) {
+    return { error: `Cannot move results from ${current} to ${next}` };
+  }
+  if (next === 'published') await recalculateTestScores(test._id);
+  test.resultStatus = next;
+  test.resultsPublishedAt = next === 'published' ? new Date() : null;
+  await test.save();
+  return { test };
+}
+
 // Check if test title exists
 router.get('/check-title/:title', auth, requireRole('admin'), async (req, res) => {
   try {
@@ -37,9 +108,23 @@ router.get('/check-title/:title', auth, requireRole('admin'), async (req, res) =
 // Admin create test
 router.post('/admin', auth, requireRole('admin'), async (req, res) => {
   try {
-    const { title, domains = [], startDate, endDate, durationMinutes = 60, sections = ['A', 'B'], eligibleStudents = [] } = req.body;
+    const { title, domains = [], startDate, endDate, durationMinutes = 60, sections = [], eligibleStudents = [], drawRules = [], shuffleQuestions = true, shuffleOptions = true, sectionTimeLimits = [], accommodations = [], proctoring, snapshots, ipAllowlist = [], accessControl } = req.body;
     if (!title || !startDate || !endDate) return res.status(400).json({ message: 'title, startDate, endDate required' });
     if (!domains.length) return res.status(400).json({ message: 'At least one domain is required' });
+    const drawRulesError = validateDrawRules(drawRules);
+    if (drawRulesError) return res.status(400).json({ message: drawRulesError });
+    const timeLimitsError = validateSectionTimeLimits(sectionTimeLimits);
+    if (timeLimitsError) return res.status(400).json({ message: timeLimitsError });
+    const accommodationsError = validateAccommodations(accommodations, isValidId);
+    if (accommodationsError) return res.status(400).json({ message: accommodationsError });
+    const proctoringError = proctoring === undefined ? null : validateProctoringSettings(proctoring);
+    if (proctoringError) return res.status(400).json({ message: proctoringError });
+    const snapshotsError = snapshots === undefined ? null : validateSnapshotSettings(snapshots);
+    if (snapshotsError) return res.status(400).json({ message: snapshotsError });
+    const ipAllowlistError = validateIpAllowlist(ipAllowlist);
+    if (ipAllowlistError) return res.status(400).json({ message: ipAllowlistError });
+    const accessControlError = accessControl === undefined ? null : validateAccessControl(accessControl);
+    if (accessControlError) return res.status(400).json({ message: accessControlError });
 
     // Check if test title already exists
     const existingTest = await Test.findOne({ title: title.trim() });
@@ -53,6 +138,16 @@ router.post('/admin', auth, requireRole('admin'), async (req, res) => {
       return res.status(400).json({ message: 'One or more invalid domain IDs' });
     }
 
+    // Restricting sections is optional; every named section must exist in at least one chosen domain
+    if (!Array.isArray(sections) || sections.some(s => typeof s !== 'string')) {
+      return res.status(400).json({ message: 'sections must be an array of section names' });
+    }
+    const unknownSection = [...sections, ...sectionTimeLimits.map(l => l.section)]
+      .find(name => !validDomains.some(d => sectionNames(d).includes(name)));
+    if (unknownSection) {
+      return res.status(400).json({ message: `Section ${unknownSection} is not defined by any selected domain` });
+    }
+
     // Normalize and validate dates
     const start = new Date(startDate);
     const end = new Date(endDate);
@@ -70,7 +165,16 @@ router.post('/admin', auth, requireRole('admin'), async (req, res) => {
       durationMinutes,
       sections,
       eligibleStudents,
-      status: 'inactive'
+      drawRules,
+      shuffleQuestions: shuffleQuestions !== false,
+      shuffleOptions: shuffleOptions !== false,
+      sectionTimeLimits,
+      accommodations: accommodations.map(a => ({ student: a.student, ...normalizeAccommodation(a) })),
+      proctoring,
+      snapshots,
+      ipAllowlist: ipAllowlist.map(entry => entry.trim()),
+      accessControl,
+      status: scheduledStatus({ startDate: start, endDate: end })
     });
     logger.info('Created test', { adminId: req.user?._id, testId: test._id, title });
     res.status(201).json(test);
@@ -103,9 +207,7 @@ router.get('/student', auth, requireRole('student'), async (req, res) => {
         { eligibleStudents: { $size: 0 } }, // Empty eligibleStudents array (open to all)
         { eligibleStudents: req.user._id } // Student is in eligibleStudents
       ]
-    }).populate('domains', 'name').lean();
-
-    const withStatus = tests.map(t => ({ ...t, status: computeStatus(t) }));
+    }).select(STUDENT_TEST_FIELDS).populate('domains', 'name').lean();
 
     // Get student's test history to filter out completed tests
     const studentTests = await StudentTest.find({ student: req.user._id }).lean();
@@ -113,12 +215,13 @@ router.get('/student', auth, requireRole('student'), async (req, res) => {
       .filter(st => st.status === 'completed' || st.status === 'expired')
       .map(st => st.test.toString());
 
-    const upcoming = withStatus.filter(t => t.status === 'inactive');
+    // Stored status is kept current by the test scheduler; paused tests stay listed as active
+    const upcoming = tests.filter(t => t.status === 'inactive');
     // Filter out tests that student has already completed
-    const active = withStatus.filter(t => t.status === 'active' && !completedTestIds.includes(t._id.toString()));
-    const completed = withStatus.filter(t => completedTestIds.includes(t._id.toString()));
+    const active = tests.filter(t => (t.status === 'active' || t.status === 'paused') && !completedTestIds.includes(t._id.toString()));
+    const completed = tests.filter(t => completedTestIds.includes(t._id.toString()));
 
-    logger.info('Student fetched available tests', { studentId: req.user._id, total: withStatus.length });
+    logger.info('Student fetched available tests', { studentId: req.user._id, total: tests.length });
     res.json({ upcoming, active, completed });
   } catch (e) {
     logger.error('Fetch student tests failed', { error: e.message, studentId: req.user?._id });
@@ -131,9 +234,19 @@ router.get('/:id', auth, async (req, res) => {
   try {
     const { id } = req.params;
     if (!isValidId(id)) return res.status(400).json({ message: 'Invalid id' });
-    const t = await Test.findById(id).populate('domains', 'name').lean();
+    const student = req.user.role === 'student';
+    const query = Test.findById(id).populate('domains', 'name');
+    // Students get the student-safe fields plus the eligibility list, which is checked and dropped
+    if (student) query.select(`${STUDENT_TEST_FIELDS} eligibleStudents`);
+    const t = await query.lean();
     if (!t) return res.status(404).json({ message: 'Not found' });
-    return res.json({ ...t, status: computeStatus(t) });
+    if (student) {
+      if (!isEligible(t, req.user._id)) {
+        return res.status(403).json({ code: 'NOT_ELIGIBLE', message: 'You are not eligible for this test' });
+      }
+      delete t.eligibleStudents;
+    }
+    return res.json(t);
   } catch (e) {
     logger.error('Get test by id failed', { error: e, id: req.params.id });
     return res.status(500).json({ message: 'Failed to fetch test' });
@@ -143,49 +256,402 @@ router.get('/:id', auth, async (req, res) => {
 // Student start test
 router.post('/:id/start', auth, requireRole('student'), async (req, res) => {
   try {
-    const { domainId, section } = req.body;
+    const { domainId, section, accessCode, seatCode } = req.body;
+    const { id } = req.params;
+
+    const client = clientInfo(req);
+    const session = await startSession({ studentId: req.user._id, testId: id, domainId, section, client, codes: { accessCode, seatCode } });
+    if (session.error) {
+      logger.warn('Start test refused', { studentId: req.user._id, testId: id, code: session.error.code });
+      return sendSessionError(res, session.error);
+    }
+    const st = session.studentTest;
+    await recordDevice(st._id, client, 'start');
+    const due = st.dueTime;
+
+    // The student's own drawn paper; only option text/value so the answer key never reaches the client
+    const questions = await loadPaper(st, STUDENT_PAPER_FIELDS);
+
+    logger.info('Student started test', { studentId: req.user._id, testId: id, domainId, resumed: session.resumed });
+    res.json({ studentTest: studentAttemptView(st), questions, dueTime: due, sectionTimers: st.sectionTimers });
+  } catch (e) {
+    logger.error('Start test failed', { error: e.message, studentId: req.user?._id });
+    res.status(500).json({ message: 'Failed to start test' });
+  }
+});
+
+// Student: the current attempt with everything needed to pick it up after a reload.
+// Read-only; the deadline always comes from the stored attempt.
+router.get('/:id/attempt', auth, requireRole('student'), async (req, res) => {
+  try {
     const { id } = req.params;
     if (!isValidId(id)) return res.status(400).json({ message: 'Invalid test id' });
-    if (!isValidId(domainId)) return res.status(400).json({ message: 'Invalid domain id' });
+    const st = await StudentTest.findOne({ student: req.user._id, test: id }).lean();
+    if (!st || st.status === 'pending' || !st.dueTime) {
+      return res.status(404).json({ code: 'SESSION_NOT_STARTED', message: 'Exam session not started' });
+    }
+
+    const now = new Date();
+    const live = st.status === 'in-progress' && (st.pausedAt || now <= st.dueTime);
+    const attempt = {
+      status: st.status,
+      endReason: st.endReason,
+      selectedDomain: st.selectedDomain,
+      selectedSection: st.selectedSection,
+      startTime: st.startTime,
+      dueTime: st.dueTime,
+      endTime: st.endTime,
+      pausedAt: st.pausedAt,
+      accommodation: st.accommodation,
+      receipt: st.receipt && st.receipt.hash ? st.receipt : null,
+      timeRemaining: live ? timeRemaining(st, now) : 0
+    };
+    if (!live) return res.json({ attempt, serverTime: now, questions: [], answers: [], sections: [] });
+
+    const questions = await loadPaper(st, STUDENT_PAPER_FIELDS);
+    const answers = await StudentAnswer.find({ student: req.user._id, test: id })
+      .select('question section answerText selectedOptions draft isSubmitted submittedAt')
+      .lean();
+    const answered = new Set(answers.filter(a => a.isSubmitted !== false).map(a => String(a.question)));
+    const drafted = new Set(answers.filter(a => a.draft && a.draft.savedAt).map(a => String(a.question)));
+
+    // Older attempts without section clocks behave as one section running on the attempt clock
+    const timers = st.sectionTimers && st.sectionTimers.length
+      ? st.sectionTimers
+      : [{ section: st.selectedSection, enteredAt: st.startTime, dueTime: st.dueTime, lockedAt: null }];
+    const clockNow = st.pausedAt ? new Date(st.pausedAt) : now;
+    const sections = timers.map(t => {
+      const inSection = questions.filter(q => q.section === t.section).map(q => String(q._id));
+      const open = !t.lockedAt && clockNow <= t.dueTime;
+      return {
+        section: t.section,
+        enteredAt: t.enteredAt,
+        dueTime: t.dueTime,
+        lockedAt: t.lockedAt,
+        open,
+        timeRemaining: open ? Math.max(0, new Date(t.dueTime) - clockNow) : 0,
+        questionCount: inSection.length,
+        answered: inSection.filter(q => answered.has(q)).length,
+        drafted: inSection.filter(q => drafted.has(q)).length
+      };
+    });
+
+    logger.info('Student fetched attempt state', { studentId: req.user._id, testId: id, questions: questions.length });
+    res.json({ attempt, serverTime: now, questions, answers, sections });
+  } catch (e) {
+    logger.error('Fetch attempt failed', { error: e.message, studentId: req.user?._id });
+    res.status(500).json({ message: 'Failed to fetch attempt' });
+  }
+});
 
-    const test = await Test.findById(id).lean();
+// Student: batched proctoring events from the exam client (tab switches, copy/paste, ...)
+router.post('/:id/events', auth, requireRole('student'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid test id' });
+    const [test, st] = await Promise.all([
+      Test.findById(id).select('proctoring').lean(),
+      StudentTest.findOne({ student: req.user._id, test: id }).select('student test status startTime').lean()
+    ]);
     if (!test) return res.status(404).json({ message: 'Test not found' });
-    const status = computeStatus(test);
-    if (status !== 'active') return res.status(400).json({ message: 'Test is not active' });
-    if (!test.domains.map(String).includes(String(domainId))) {
-      logger.warn('Student requested domain not in test', { studentId: req.user._id, testId: id, domainId });
-      return res.status(400).json({ message: 'Domain not in this test' });
+    if (!st || st.status === 'pending') {
+      return res.status(404).json({ code: 'SESSION_NOT_STARTED', message: 'Exam session not started' });
+    }
+    if (st.status !== 'in-progress') {
+      return res.status(403).json({ code: 'SESSION_CLOSED', message: 'Exam session is closed' });
     }
-    if (test.sections && !test.sections.includes(section)) return res.status(400).json({ message: 'Invalid section' });
 
-    // Check if student already took this test
-    const existingTest = await StudentTest.findOne({ student: req.user._id, test: test._id });
-    if (existingTest && (existingTest.status === 'completed' || existingTest.status === 'expired')) {
-      logger.warn('Student attempted to start an already completed test', { studentId: req.user._id, testId: id });
-      return res.status(400).json({ message: 'You have already completed this test' });
+    const now = new Date();
+    const batch = parseEventBatch(req.body.events, st, now);
+    if (batch.error) return res.status(400).json({ message: batch.error });
+    const result = await recordEvents(test, st, batch.events, now);
+    res.json(result);
+  } catch (e) {
+    logger.error('Record proctoring events failed', { error: e.message, studentId: req.user?._id });
+    res.status(500).json({ message: 'Failed to record events' });
+  }
+});
+
+// Student: one webcam frame from the exam client (multipart field "image")
+router.post('/:id/snapshots', auth, requireRole('student'), acceptSnapshot, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid test id' });
+    if (!req.file) return res.status(400).json({ message: 'No image file provided' });
+    const [test, st] = await Promise.all([
+      Test.findById(id).select('snapshots').lean(),
+      StudentTest.findOne({ student: req.user._id, test: id }).select('student test status').lean()
+    ]);
+    if (!test) return res.status(404).json({ message: 'Test not found' });
+    if (!st || st.status !== 'in-progress') {
+      return res.status(403).json({ code: 'SESSION_CLOSED', message: 'No running attempt for this test' });
     }
 
-    const start = new Date();
-    // Use actual test duration instead of hardcoded 2 hours
-    const durationMs = (test.durationMinutes || 60) * 60 * 1000;
-    const due = new Date(start.getTime() + durationMs);
+    const result = await captureSnapshot(test, st, req.file);
+    if (result.error) return sendSessionError(res, result.error);
+    res.status(201).json({ id: result.snapshot._id, capturedAt: result.snapshot.capturedAt });
+  } catch (e) {
+    logger.error('Store snapshot failed', { error: e.message, studentId: req.user?._id });
+    res.status(500).json({ message: 'Failed to store snapshot' });
+  }
+});
 
-    const st = await StudentTest.findOneAndUpdate(
-      { student: req.user._id, test: test._id },
-      { $set: { startTime: start, dueTime: due, status: 'in-progress', selectedDomain: domainId, selectedSection: section } },
-      { upsert: true, new: true }
-    );
+// Staff/admin: review gallery of one attempt's snapshots, oldest first
+router.get('/:id/attempts/:studentId/snapshots', auth, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+    if (!isValidId(id) || !isValidId(studentId)) return res.status(400).json({ message: 'Invalid id' });
+    const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const filter = { test: id, student: studentId };
+    const [total, snapshots] = await Promise.all([
+      WebcamSnapshot.countDocuments(filter),
+      WebcamSnapshot.find(filter)
+        .select('capturedAt expiresAt bytes')
+        .sort({ capturedAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean()
+    ]);
+    // Images are fetched with the staff member's own credentials from the image route below
+    const data = snapshots.map(s => ({ ...s, imageUrl: `/tests/${id}/snapshots/${s._id}/image` }));
+    logger.info('Snapshot gallery viewed', { userId: req.user._id, testId: id, studentId, page: pageNum });
+    res.json({ data, page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) });
+  } catch (e) {
+    logger.error('Fetch snapshots failed', { error: e.message, userId: req.user?._id });
+    res.status(500).json({ message: 'Failed to fetch snapshots' });
+  }
+});
 
-    // Fetch questions for chosen domain+section
-    const qFilter = { domain: domainId };
-    if (Question.schema.paths.section) qFilter.section = section;
-    const questions = await Question.find(qFilter).select('title description domain section options type').lean();
+// Staff/admin: the image of one snapshot
+router.get('/:id/snapshots/:snapshotId/image', auth, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    const { id, snapshotId } = req.params;
+    if (!isValidId(id) || !isValidId(snapshotId)) return res.status(400).json({ message: 'Invalid id' });
+    const snapshot = await WebcamSnapshot.findOne({ _id: snapshotId, test: id })
+      .select('student backend storageKey mimetype')
+      .lean();
+    if (!snapshot) return res.status(404).json({ message: 'Snapshot not found' });
 
-    logger.info('Student started test', { studentId: req.user._id, testId: id, domainId });
-    res.json({ studentTest: st, questions, dueTime: due });
+    let stream;
+    try {
+      stream = await openFile(snapshot);
+    } catch (e) {
+      logger.error('Stored snapshot missing', { snapshotId, storageKey: snapshot.storageKey, error: e.message });
+      return res.status(404).json({ message: 'Snapshot is no longer available' });
+    }
+    logger.info('Snapshot viewed', { userId: req.user._id, testId: id, snapshotId, studentId: snapshot.student });
+    res.set({ 'Content-Type': snapshot.mimetype, 'Cache-Control': 'private, no-store' });
+    stream.on('error', (e) => {
+      logger.error('Snapshot stream failed', { snapshotId, error: e.message });
+      res.destroy(e);
+    });
+    stream.pipe(res);
   } catch (e) {
-    logger.error('Start test failed', { error: e.message, studentId: req.user?._id });
-    res.status(500).json({ message: 'Failed to start test' });
+    logger.error('Fetch snapshot image failed', { error: e.message, userId: req.user?._id });
+    res.status(500).json({ message: 'Failed to fetch snapshot' });
+  }
+});
+
+// Admin: purge a test's snapshots now (optionally one student's) instead of waiting for retention
+router.delete('/:id/snapshots', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { studentId } = req.query;
+    if (!isValidId(id) || (studentId && !isValidId(studentId))) return res.status(400).json({ message: 'Invalid id' });
+    const filter = studentId ? { test: id, student: studentId } : { test: id };
+    const purged = await purgeSnapshots(filter);
+    const remaining = await WebcamSnapshot.countDocuments(filter);
+    logger.info('Snapshots purged by admin', { adminId: req.user._id, testId: id, studentId, purged, remaining });
+    res.json({ purged, remaining });
+  } catch (e) {
+    logger.error('Purge snapshots failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to purge snapshots' });
+  }
+});
+
+// Admin: proctoring summary of every attempt of a test, most suspicious first
+router.get('/:id/proctoring', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid id' });
+    const attempts = await StudentTest.find({ test: id, status: { $ne: 'pending' } })
+      .select('student status endReason proctoring startTime endTime')
+      .populate('student', 'name email')
+      .sort({ 'proctoring.score': -1 })
+      .lean();
+    res.json({ attempts });
+  } catch (e) {
+    logger.error('Fetch proctoring summary failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to fetch proctoring summary' });
+  }
+});
+
+// Admin: attempts that changed machine mid-test and fingerprints or IPs shared between students
+router.get('/:id/devices', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid id' });
+    const test = await Test.findById(id).select('ipAllowlist').lean();
+    if (!test) return res.status(404).json({ message: 'Test not found' });
+    const report = await deviceReport(id);
+    res.json({ ipAllowlist: test.ipAllowlist || [], ...report });
+  } catch (e) {
+    logger.error('Fetch device report failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to fetch device report' });
+  }
+});
+
+// Admin: access codes of a test with the code valid right now (for display in the room)
+router.get('/:id/access-codes', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid id' });
+    const codes = await AccessCode.find({ test: id }).sort({ createdAt: 1 }).lean();
+    const now = new Date();
+    res.json({ serverTime: now, codes: codes.map(c => describeAccessCode(c, now)) });
+  } catch (e) {
+    logger.error('Fetch access codes failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to fetch access codes' });
+  }
+});
+
+// Admin: create an access code for the whole test or one room ({ label, rotationMinutes })
+router.post('/:id/access-codes', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid id' });
+    const inputError = validateAccessCodeInput(req.body || {});
+    if (inputError) return res.status(400).json({ message: inputError });
+    const test = await Test.findById(id).select('_id').lean();
+    if (!test) return res.status(404).json({ message: 'Test not found' });
+    const accessCode = await createAccessCode(id, req.body || {}, req.user._id);
+    logger.info('Access code created', { adminId: req.user._id, testId: id, accessCodeId: accessCode._id });
+    res.status(201).json(describeAccessCode(accessCode));
+  } catch (e) {
+    logger.error('Create access code failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to create access code' });
+  }
+});
+
+// Admin: revoke an access code; attempts already started are not affected
+router.delete('/:id/access-codes/:codeId', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id, codeId } = req.params;
+    if (!isValidId(id) || !isValidId(codeId)) return res.status(400).json({ message: 'Invalid id' });
+    const accessCode = await AccessCode.findOneAndUpdate(
+      { _id: codeId, test: id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!accessCode) return res.status(404).json({ message: 'Access code not found' });
+    logger.info('Access code revoked', { adminId: req.user._id, testId: id, accessCodeId: codeId });
+    res.json(describeAccessCode(accessCode));
+  } catch (e) {
+    logger.error('Revoke access code failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to revoke access code' });
+  }
+});
+
+// Admin: seat code status per student (codes themselves are never shown again)
+router.get('/:id/seat-codes', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid id' });
+    const seats = await SeatCode.find({ test: id })
+      .select('student createdAt usedAt')
+      .populate('student', 'name email')
+      .lean();
+    res.json({ seats });
+  } catch (e) {
+    logger.error('Fetch seat codes failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to fetch seat codes' });
+  }
+});
+
+// Admin: issue seat codes to the given students, or to every eligible student. Existing codes
+// of those students are replaced. The response is the only time the codes are visible.
+router.post('/:id/seat-codes', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid id' });
+    const { students } = req.body || {};
+    if (students !== undefined && (!Array.isArray(students) || !students.length || !students.every(isValidId))) {
+      return res.status(400).json({ message: 'students must be a non-empty array of student ids' });
+    }
+    const test = await Test.findById(id).select('eligibleStudents').lean();
+    if (!test) return res.status(404).json({ message: 'Test not found' });
+    const targets = students || (test.eligibleStudents || []).map(String);
+    if (!targets.length) {
+      return res.status(400).json({ message: 'This test is open to every student; list the students to issue seat codes to' });
+    }
+    if (!targets.every(s => isEligible(test, s))) {
+      return res.status(400).json({ message: 'Seat codes can only be issued to students eligible for this test' });
+    }
+    const users = await User.find({ _id: { $in: targets }, role: 'student' }).select('name email').lean();
+    if (users.length !== new Set(targets.map(String)).size) return res.status(400).json({ message: 'One or more invalid student ids' });
+
+    const issued = await issueSeatCodes(id, users.map(u => u._id), req.user._id);
+    const byId = new Map(users.map(u => [String(u._id), u]));
+    res.status(201).json({ seats: issued.map(s => ({ student: byId.get(String(s.student)), code: s.code })) });
+  } catch (e) {
+    logger.error('Issue seat codes failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to issue seat codes' });
+  }
+});
+
+// Admin: remove a test's seat codes (optionally one ?studentId=)
+router.delete('/:id/seat-codes', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { studentId } = req.query;
+    if (!isValidId(id) || (studentId && !isValidId(studentId))) return res.status(400).json({ message: 'Invalid id' });
+    const filter = { test: id };
+    if (studentId) filter.student = studentId;
+    const { deletedCount } = await SeatCode.deleteMany(filter);
+    logger.info('Seat codes removed', { adminId: req.user._id, testId: id, studentId, deletedCount });
+    res.json({ deleted: deletedCount });
+  } catch (e) {
+    logger.error('Remove seat codes failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to remove seat codes' });
+  }
+});
+
+// Admin: one attempt's proctoring timeline with the running suspicion score
+router.get('/:id/attempts/:studentId/events', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+    if (!isValidId(id) || !isValidId(studentId)) return res.status(400).json({ message: 'Invalid id' });
+    const st = await StudentTest.findOne({ test: id, student: studentId }).select('status endReason proctoring').lean();
+    if (!st) return res.status(404).json({ message: 'Attempt not found' });
+    const timeline = await attemptTimeline(st._id);
+    res.json({ status: st.status, endReason: st.endReason, proctoring: st.proctoring, timeline });
+  } catch (e) {
+    logger.error('Fetch proctoring timeline failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to fetch timeline' });
+  }
+});
+
+// Student moves on to another section; the section being left is locked for good
+router.post('/:id/sections/enter', auth, requireRole('student'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { section } = req.body;
+    if (!section) return res.status(400).json({ message: 'section is required' });
+
+    const entered = await enterSection({ studentId: req.user._id, testId: id, section, client: clientInfo(req) });
+    if (entered.error) {
+      logger.warn('Enter section refused', { studentId: req.user._id, testId: id, section, code: entered.error.code });
+      return sendSessionError(res, entered.error);
+    }
+    const st = entered.studentTest;
+    const questions = (await loadPaper(st, STUDENT_PAPER_FIELDS))
+      .filter(q => q.section === section);
+
+    res.json({ section, timer: entered.timer, resumed: entered.resumed, questions, sectionTimers: st.sectionTimers, dueTime: st.dueTime });
+  } catch (e) {
+    logger.error('Enter section failed', { error: e.message, studentId: req.user?._id });
+    res.status(500).json({ message: 'Failed to enter section' });
   }
 });
 
@@ -194,24 +660,140 @@ router.post('/:id/submit', auth, requireRole('student'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!isValidId(id)) return res.status(400).json({ message: 'Invalid test id' });
-    const st = await StudentTest.findOne({ student: req.user._id, test: id });
-    if (!st) {
+    const current = await StudentTest.findOne({ student: req.user._id, test: id }).lean();
+    if (!current || current.status === 'pending') {
       logger.warn('Student attempted to submit without starting test', { studentId: req.user._id, testId: id });
       return res.status(404).json({ message: 'Not started' });
     }
     const now = new Date();
-    const expired = st.dueTime && now > st.dueTime;
-    st.endTime = now;
-    st.status = expired ? 'expired' : 'completed';
-    await st.save();
-    logger.info('Student submitted test', { studentId: req.user._id, testId: id, status: st.status });
-    res.json({ ok: true, status: st.status });
+    // A paused attempt's clock is stopped, so submitting it is never late
+    const expired = !current.pausedAt && current.dueTime && now > current.dueTime;
+
+    // Lock the attempt; from here on every answer write is refused. Scores MCQ answers saved
+    // during the attempt (text/file answers stay with staff) and issues the receipt.
+    const closed = await closeAttempt(current._id, {
+      status: expired ? 'expired' : 'completed',
+      endReason: expired ? 'late-submit' : 'submitted'
+    }, now);
+    if (!closed) {
+      // Already closed: return the original outcome and receipt
+      const earlier = await StudentTest.findById(current._id).lean();
+      let receipt = null;
+      if (earlier.finalizedAt) {
+        receipt = await issueReceipt(earlier._id);
+      } else {
+        // Finalize here unless another run already is; its receipt shows up on the attempt
+        const claimed = await claimFinalization(earlier._id);
+        if (claimed) ({ receipt } = await finalizeAttempt(claimed));
+      }
+      return res.json({ ok: true, status: earlier.status, endReason: earlier.endReason, receipt });
+    }
+
+    const { studentTest: st, autoGraded, receipt } = closed;
+    logger.info('Student submitted test', { studentId: req.user._id, testId: id, status: st.status, autoGraded, receiptHash: receipt.hash });
+    res.json({ ok: true, status: st.status, endReason: st.endReason, receipt });
   } catch (e) {
     logger.error('Submit test failed', { error: e.message, studentId: req.user?._id });
     res.status(500).json({ message: 'Failed to submit' });
   }
 });
 
+// Admin: move results between grading and under-review (or pull published results back for review)
+router.put('/:id/results/status', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid id' });
+    if (!Object.keys(RESULT_TRANSITIONS).includes(status)) {
+      return res.status(400).json({ message: `Invalid status. Must be one of: ${Object.keys(RESULT_TRANSITIONS).join(', ')}` });
+    }
+    const test = await Test.findById(id);
+    if (!test) return res.status(404).json({ message: 'Test not found' });
+    const result = await transitionResults(test, status);
+    if (result.error) return res.status(400).json({ message: result.error });
+    logger.info('Updated test result status', { adminId: req.user?._id, testId: id, resultStatus: status });
+    res.json({ resultStatus: test.resultStatus, resultsPublishedAt: test.resultsPublishedAt });
+  } catch (e) {
+    logger.error('Update result status failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to update result status' });
+  }
+});
+
+// Admin: publish reviewed results so students can see scores, ranks and grader feedback
+router.post('/:id/results/publish', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid id' });
+    const test = await Test.findById(id);
+    if (!test) return res.status(404).json({ message: 'Test not found' });
+    const result = await transitionResults(test, 'published');
+    if (result.error) return res.status(400).json({ message: result.error });
+    logger.info('Published test results', { adminId: req.user?._id, testId: id });
+    res.json({ message: 'Results published', resultStatus: test.resultStatus, resultsPublishedAt: test.resultsPublishedAt });
+  } catch (e) {
+    logger.error('Publish results failed', { error: e.message, adminId: req.user?._id });
+    res.status(500).json({ message: 'Failed to publish results' });
+  }
+});
+
+// Admin/staff: pause, resume or extend every live attempt of a test
+router.post('/:id/attempts/:action', auth, requireRole('admin', 'staff'), async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const { minutes, reason } = req.body;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid id' });
+    const error = validateAdjustment(action, { minutes, reason });
+    if (error) return res.status(400).json({ message: error });
+    if (!(await Test.exists({ _id: id }))) return res.status(404).json({ message: 'Test not found' });
+
+    const results = await adjustTestAttempts(id, action, { minutes, reason, by: req.user._id });
+    logger.info('Adjusted all live attempts', { userId: req.user._id, testId: id, action, minutes, attempts: results.length });
+    res.json({ action, adjusted: results.filter(r => r.ok).length, results });
+  } catch (e) {
+    logger.error('Adjust test attempts failed', { error: e.message, userId: req.user?._id });
+    res.status(500).json({ message: 'Failed to adjust attempts' });
+  }
+});
+
+// Admin/staff: pause, resume or extend one student's live attempt
+router.post('/:id/attempts/:studentId/:action', auth, requireRole('admin', 'staff'), async (req, res) => {
+  try {
+    const { id, studentId, action } = req.params;
+    const { minutes, reason } = req.body;
+    if (!isValidId(id) || !isValidId(studentId)) return res.status(400).json({ message: 'Invalid id' });
+    const error = validateAdjustment(action, { minutes, reason });
+    if (error) return res.status(400).json({ message: error });
+
+    const st = await StudentTest.findOne({ test: id, student: studentId }).select('_id').lean();
+    if (!st) return res.status(404).json({ message: 'Attempt not found' });
+    const result = await adjustAttempt(st._id, action, { minutes, reason, by: req.user._id });
+    if (result.error) return res.status(409).json({ message: result.error });
+
+    const { dueTime, pausedAt, sectionTimers, adjustments } = result.studentTest;
+    res.json({ action, dueTime, pausedAt, sectionTimers, adjustments });
+  } catch (e) {
+    logger.error('Adjust attempt failed', { error: e.message, userId: req.user?._id });
+    res.status(500).json({ message: 'Failed to adjust attempt' });
+  }
+});
+
+// Admin/staff: an attempt's timing and its adjustment history
+router.get('/:id/attempts/:studentId', auth, requireRole('admin', 'staff'), async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+    if (!isValidId(id) || !isValidId(studentId)) return res.status(400).json({ message: 'Invalid id' });
+    const st = await StudentTest.findOne({ test: id, student: studentId })
+      .select('student status startTime dueTime endTime endReason pausedAt sectionTimers adjustments accommodation receipt devices')
+      .populate('adjustments.by', 'name email')
+      .lean();
+    if (!st) return res.status(404).json({ message: 'Attempt not found' });
+    res.json({ ...st, timeRemaining: st.status === 'in-progress' ? timeRemaining(st) : 0 });
+  } catch (e) {
+    logger.error('Fetch attempt history failed', { error: e.message, userId: req.user?._id });
+    res.status(500).json({ message: 'Failed to fetch attempt' });
+  }
+});
+
 // Admin: list all tests
 router.get('/', auth, requireRole('admin'), async (req, res) => {
   try {
@@ -223,7 +805,7 @@ router.get('/', auth, requireRole('admin'), async (req, res) => {
     if (pageNum && limitNum) {
       const total = await Test.countDocuments({});
       const tests = await Test.find({})
-        .select('title startDate endDate durationMinutes domains createdAt updatedAt')
+        .select('title startDate endDate durationMinutes domains status statusOverride createdAt updatedAt')
         .skip((pageNum - 1) * limitNum)
         .limit(limitNum)
         .lean();
@@ -232,7 +814,7 @@ router.get('/', auth, requireRole('admin'), async (req, res) => {
       return res.json({ data: tests, page: pageNum, limit: limitNum, total, totalPages });
     }
 
-    const tests = await Test.find({}).select('title startDate endDate durationMinutes domains createdAt updatedAt').lean();
+    const tests = await Test.find({}).select('title startDate endDate durationMinutes domains status statusOverride createdAt updatedAt').lean();
     logger.info('Admin fetched all tests', { adminId: req.user?._id, count: tests.length });
     res.json(tests);
   } catch (e) {
@@ -246,9 +828,58 @@ router.put('/:id', auth, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!isValidId(id)) return res.status(400).json({ message: 'Invalid id' });
-    const { title, domains, startDate, endDate, durationMinutes } = req.body;
+    const { title, domains, startDate, endDate, durationMinutes, sections, drawRules, shuffleQuestions, shuffleOptions, sectionTimeLimits, accommodations, proctoring, snapshots, ipAllowlist, accessControl } = req.body;
 
     let update = { title, domains, durationMinutes };
+    if (sections !== undefined) {
+      if (!Array.isArray(sections) || sections.some(s => typeof s !== 'string')) {
+        return res.status(400).json({ message: 'sections must be an array of section names' });
+      }
+      update.sections = sections;
+    }
+    // Draw settings apply to attempts started after the change; running papers are already stored
+    if (drawRules !== undefined) {
+      const drawRulesError = validateDrawRules(drawRules);
+      if (drawRulesError) return res.status(400).json({ message: drawRulesError });
+      update.drawRules = drawRules;
+    }
+    // Section budgets apply to sections entered after the change
+    if (sectionTimeLimits !== undefined) {
+      const timeLimitsError = validateSectionTimeLimits(sectionTimeLimits);
+      if (timeLimitsError) return res.status(400).json({ message: timeLimitsError });
+      update.sectionTimeLimits = sectionTimeLimits;
+    }
+    // Accommodations apply to attempts started after the change
+    if (accommodations !== undefined) {
+      const accommodationsError = validateAccommodations(accommodations, isValidId);
+      if (accommodationsError) return res.status(400).json({ message: accommodationsError });
+      update.accommodations = accommodations.map(a => ({ student: a.student, ...normalizeAccommodation(a) }));
+    }
+    // Thresholds apply from the next event batch on
+    if (proctoring !== undefined) {
+      const proctoringError = validateProctoringSettings(proctoring);
+      if (proctoringError) return res.status(400).json({ message: proctoringError });
+      update.proctoring = proctoring;
+    }
+    if (snapshots !== undefined) {
+      const snapshotsError = validateSnapshotSettings(snapshots);
+      if (snapshotsError) return res.status(400).json({ message: snapshotsError });
+      Object.entries(snapshots).forEach(([key, value]) => { update[`snapshots.${key}`] = value; });
+    }
+    // The allowlist applies to running attempts from their next request on
+    if (ipAllowlist !== undefined) {
+      const ipAllowlistError = validateIpAllowlist(ipAllowlist);
+      if (ipAllowlistError) return res.status(400).json({ message: ipAllowlistError });
+      update.ipAllowlist = ipAllowlist.map(entry => entry.trim());
+    }
+    // Code requirements apply to attempts started after the change
+    if (accessControl !== undefined) {
+      const accessControlError = validateAccessControl(accessControl);
+      if (accessControlError) return res.status(400).json({ message: accessControlError });
+      Object.entries(accessControl).forEach(([key, value]) => { update[`accessControl.${key}`] = value; });
+    }
+    if (typeof shuffleQuestions === 'boolean') update.shuffleQuestions = shuffleQuestions;
+    if (typeof shuffleOptions === 'boolean') update.shuffleOptions = shuffleOptions;
     if (startDate) update.startDate = new Date(startDate);
     if (endDate) update.endDate = new Date(endDate);
 
@@ -260,11 +891,18 @@ router.put('/:id', auth, requireRole('admin'), async (req, res) => {
       if (update.startDate < startOfToday) return res.status(400).json({ message: 'Date cannot be in the past' });
     }
 
+    const previous = await Test.findById(id).select('endDate').lean();
     const updatedTest = await Test.findByIdAndUpdate(id, update, { new: true });
 
-    if (!updatedTest) {
+    if (!previous || !updatedTest) {
       return res.status(404).json({ message: 'Test not found' });
     }
+    // Running attempts capped at the old end date follow the new one
+    await refitTestDeadlines(updatedTest, previous.endDate);
+    // Moving the dates can move the test to another scheduled state
+    if (syncStatus(updatedTest, req.user?._id)) await updatedTest.save();
+    // A new retention period applies to snapshots already stored too
+    if (snapshots && snapshots.retentionDays !== undefined) await applyRetention(updatedTest._id, snapshots.retentionDays);
 
     res.json(updatedTest);
     logger.info('Updated test', { adminId: req.user?._id, testId: id });
@@ -283,6 +921,14 @@ router.delete('/:id', auth, requireRole('admin'), async (req, res) => {
     if (!t) return res.status(404).json({ message: 'Test not found' });
     // Also remove related StudentTest allocations
     await StudentTest.deleteMany({ test: id });
+    // Snapshots are personal data with no use once their test is gone
+    await purgeSnapshots({ test: id });
+    await ProctorEvent.deleteMany({ test: id });
+    await AnswerRevision.deleteMany({ test: id });
+    await SimilarityReport.deleteMany({ test: id });
+    await AccessCode.deleteMany({ test: id });
+    await SeatCode.deleteMany({ test: id });
+    await CodeFailure.deleteMany({ test: id });
     logger.info('Deleted test', { adminId: req.user?._id, testId: id });
     res.json({ message: 'Test deleted' });
   } catch (e) {
@@ -291,12 +937,88 @@ router.delete('/:id', auth, requireRole('admin'), async (req, res) => {
   }
 });
 
+// Student: published results with score, rank/percentile and per-section breakdown
+router.get('/student/results', auth, requireRole('student'), async (req, res) => {
+  try {
+    const attempts = await StudentTest.find({ student: req.user._id, status: { $in: ['completed', 'expired'] } })
+      .populate('test', 'title resultStatus resultsPublishedAt')
+      .populate('selectedDomain', 'name')
+      .lean();
+    const published = attempts.filter(st => isResultsPublished(st.test));
+
+    // Ranks, answers and section maxima for every published test at once
+    const testIds = published.map(st => st.test._id);
+    const [ranks, answers, maxima] = published.length
+      ? await Promise.all([
+        StudentTest.aggregate([
+          { $match: { test: { $in: testIds }, score: { $ne: null } } },
+          {
+            $addFields: {
+              mine: {
+                $switch: {
+                  branches: published.map(st => ({ case: { $eq: ['$test', st.test._id] }, then: st.score || 0 })),
+                  default: 0
+                }
+              }
+            }
+          },
+          {
+            $group: {
+              _id: '$test',
+              participants: { $sum: 1 },
+              higher: { $sum: { $cond: [{ $gt: ['$score', '$mine'] }, 1, 0] } },
+              lower: { $sum: { $cond: [{ $lt: ['$score', '$mine'] }, 1, 0] } }
+            }
+          }
+        ]),
+        StudentAnswer.find({ student: req.user._id, test: { $in: testIds } }).select('test section mark').lean(),
+        attemptsSectionMaxMarks(published)
+      ])
+      : [[], [], []];
+    const rankByTest = new Map(ranks.map(r => [String(r._id), r]));
+
+    const results = published.map((st, i) => {
+      const score = st.score || 0;
+      const { participants = 0, higher = 0, lower = 0 } = rankByTest.get(String(st.test._id)) || {};
+      const sectionMax = maxima[i];
+      const sections = {};
+      answers.filter(a => String(a.test) === String(st.test._id)).forEach(a => {
+        if (!sections[a.section]) sections[a.section] = { obtained: 0, max: sectionMax[a.section] || 0 };
+        sections[a.section].obtained += a.mark || 0;
+      });
+      if (st.selectedSection && !sections[st.selectedSection]) {
+        sections[st.selectedSection] = { obtained: 0, max: sectionMax[st.selectedSection] || 0 };
+      }
+
+      return {
+        test: { _id: st.test._id, title: st.test.title, resultsPublishedAt: st.test.resultsPublishedAt },
+        domain: st.selectedDomain,
+        status: st.status,
+        score,
+        maxScore: Object.values(sections).reduce((sum, s) => sum + s.max, 0),
+        rank: higher + 1,
+        participants,
+        // Share of participants who scored strictly lower
+        percentile: participants ? Math.round((lower / participants) * 100) : null,
+        sections
+      };
+    });
+
+    logger.info('Student fetched results', { studentId: req.user._id, count: results.length });
+    res.json({ results });
+  } catch (e) {
+    logger.error('Fetch student results failed', { error: e.message, studentId: req.user?._id });
+    res.status(500).json({ message: 'Failed to fetch results' });
+  }
+});
+
 // Student: get "Your Tests" - tests the student has started
 router.get('/student/my-tests', auth, requireRole('student'), async (req, res) => {
   try {
     const studentTests = await StudentTest.find({ student: req.user._id })
       .populate({
         path: 'test',
+        select: STUDENT_TEST_FIELDS,
         populate: {
           path: 'domains',
           select: 'name'
@@ -308,23 +1030,21 @@ router.get('/student/my-tests', auth, requireRole('student'), async (req, res) =
     const now = new Date();
     const categorized = { upcoming: [], active: [], completed: [] };
 
-    studentTests.forEach(st => {
-      if (!st.test) return;
+    studentTests.forEach(attempt => {
+      if (!attempt.test) return;
+      const st = { ...studentAttemptView(attempt), test: attempt.test };
+      // The score is only shown once results are published
+      if (isResultsPublished(attempt.test)) st.score = attempt.score;
 
-      const test = st.test;
-      const testStatus = computeStatus(test);
-      const studentTestWithStatus = {
-        ...st,
-        test: { ...test, status: testStatus }
-      };
+      const testStatus = st.test.status;
 
       // Categorize based on student test status and test timing
       if (st.status === 'completed' || st.status === 'expired' || testStatus === 'finished') {
-        categorized.completed.push(studentTestWithStatus);
-      } else if (st.status === 'in-progress' && testStatus === 'active') {
-        categorized.active.push(studentTestWithStatus);
+        categorized.completed.push(st);
+      } else if (st.status === 'in-progress' && (testStatus === 'active' || testStatus === 'paused')) {
+        categorized.active.push(st);
       } else if (st.status === 'pending' && testStatus === 'inactive') {
-        categorized.upcoming.push(studentTestWithStatus);
+        categorized.upcoming.push(st);
       }
     });
 
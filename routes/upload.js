@@ -3,6 +3,7 @@ import multer from 'multer';
 import cloudinary from '../config/cloudinary.js';
 import { auth, requireRole } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
+import { storeImage } from '../utils/imageStorage.js';
 
 const router = express.Router();
 
@@ -48,58 +49,31 @@ router.post('/test-image', auth, upload.single('image'), async (req, res) => {
     }
 });
 
-// Upload image to Cloudinary (requires auth)
+// Upload image to Cloudinary (requires auth); falls back to a base64 data URL
 router.post('/image', auth, upload.single('image'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ message: 'No image file provided' });
         }
 
-        // Check if Cloudinary is configured
-        if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-            // Fallback: Convert to base64 and return as data URL
-            const base64 = req.file.buffer.toString('base64');
-            const dataUrl = `data:${req.file.mimetype};base64,${base64}`;
-            logger.warn('Cloudinary not configured - returning base64 fallback', { userId: req.user?._id });
-            return res.json({ message: 'Image uploaded successfully (base64 fallback)', url: dataUrl, publicId: null, fallback: true });
-        }
-
-        // Upload to Cloudinary
-        const result = await new Promise((resolve, reject) => {
-            cloudinary.uploader.upload_stream(
-                {
-                    resource_type: 'image',
-                    folder: 'exam-answers', // Organize images in a folder
-                    public_id: `answer-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                    transformation: [
-                        { width: 1200, height: 1200, crop: 'limit' }, // Resize if too large
-                        { quality: 'auto' }, // Auto quality optimization
-                        { format: 'auto' } // Auto format selection
-                    ]
-                },
-                (error, result) => {
-                    if (error) reject(error);
-                    else resolve(result);
-                }
-            ).end(req.file.buffer);
+        const result = await storeImage(req.file.buffer, {
+            folder: 'exam-answers', // Organize images in a folder
+            prefix: 'answer',
+            mimetype: req.file.mimetype,
+            transformation: [
+                { width: 1200, height: 1200, crop: 'limit' }, // Resize if too large
+                { quality: 'auto' }, // Auto quality optimization
+                { format: 'auto' } // Auto format selection
+            ]
         });
-        logger.info('Image uploaded to Cloudinary', { userId: req.user?._id, publicId: result.public_id, url: result.secure_url });
-        res.json({ message: 'Image uploaded successfully', url: result.secure_url, publicId: result.public_id });
+        if (result.fallback) {
+            return res.json({ message: 'Image uploaded successfully (base64 fallback)', url: result.url, publicId: null, fallback: true });
+        }
+        logger.info('Image uploaded to Cloudinary', { userId: req.user?._id, publicId: result.publicId, url: result.url });
+        res.json({ message: 'Image uploaded successfully', url: result.url, publicId: result.publicId });
     } catch (error) {
         logger.error('Upload error', { error });
-
-        // Fallback to base64 if Cloudinary fails
-        try {
-            const base64 = req.file?.buffer?.toString('base64');
-            if (!base64) throw new Error('No file buffer available for fallback');
-            const dataUrl = `data:${req.file.mimetype};base64,${base64}`;
-
-            logger.warn('Cloudinary upload failed, returning base64 fallback', { userId: req.user?._id, error });
-            return res.json({ message: 'Image uploaded successfully (base64 fallback)', url: dataUrl, publicId: null, fallback: true });
-        } catch (fallbackError) {
-            logger.error('Upload fallback failed', { error: fallbackError });
-            res.status(500).json({ message: 'Failed to upload image' });
-        }
+        res.status(500).json({ message: 'Failed to upload image' });
     }
 });
 
@@ -15,6 +15,9 @@ import studentAnswerRoutes from "./routes/studentAnswers.js";
 import testsRoutes from "./routes/tests.js";
 import uploadRoutes from "./routes/upload.js";
 import logger from "./utils/logger.js";
+import { startExpirySweeper, stopExpirySweeper } from "./utils/expirySweeper.js";
+import { startTestScheduler, stopTestScheduler } from "./utils/testLifecycle.js";
+import { startSnapshotPurge, stopSnapshotPurge } from "./utils/snapshots.js";
 import swaggerSetup from "./config/swagger.js";
 
 dotenv.config();
@@ -53,6 +56,7 @@ const corsOptions = {
     "X-Requested-With",
     "Accept",
     "Origin",
+    "X-Client-Fingerprint",
   ],
   exposedHeaders: ["Content-Type", "Authorization"],
   preflightContinue: false,
@@ -216,6 +220,12 @@ const startServer = async () => {
   try {
     await connectDB(process.env.MONGO_URI);
     server = app.listen(PORT, () => logger.info("API running", { port: PORT }));
+    // Move tests between inactive/active/finished on their dates
+    startTestScheduler();
+    // Close attempts abandoned past their dueTime
+    startExpirySweeper();
+    // Delete webcam snapshots past their retention period
+    startSnapshotPurge();
   } catch (err) {
     logger.error("Failed to start server", { error: err });
     // Give logs a moment then exit
@@ -227,6 +237,9 @@ const startServer = async () => {
 const shutdown = async (signal) => {
   try {
     logger.info("Shutdown initiated", { signal });
+    stopTestScheduler();
+    stopExpirySweeper();
+    stopSnapshotPurge();
     if (server) {
       server.close(() => logger.info("HTTP server closed"));
     }
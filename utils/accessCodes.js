@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import AccessCode from '../models/AccessCode.js';
+import SeatCode from '../models/SeatCode.js';
+import CodeFailure from '../models/CodeFailure.js';
+import logger from './logger.js';
+
+// Codes for supervised sittings. A test can require an access code announced in the room
+// (static, or rotating every rotationMinutes) and/or a per-student seat code. Wrong codes are
+// counted per student and test in the database; too many within the window blocks further tries
+// for a while, on every instance.
+
+// No 0/O or 1/I/L so codes read cleanly off a projector
+const ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const SEAT_CODE_ROUNDS = 8;
+// A rotating code is still accepted this long after the next one replaced it
+const ROTATION_GRACE_MS = 60 * 1000;
+
+// Rate limiting for wrong codes
+const MAX_CODE_FAILURES = 5;
+const CODE_FAILURE_WINDOW = 15 * 60 * 1000; // 15 minutes
+
+const toCode = (bytes) => Array.from(bytes.subarray(0, CODE_LENGTH), (b) => ALPHABET[b % ALPHABET.length]).join('');
+
+export const generateCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i += 1) code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  return code;
+};
+
+// Codes are typed by hand: ignore case and spaces
+export const normalizeCode = (code) => (typeof code === 'string' ? code.replace(/\s+/g, '').toUpperCase() : '');
+
+const sameCode = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const periodMs = (accessCode) => accessCode.rotationMinutes * 60 * 1000;
+
+// The code of a rotating access code for the period containing `at`
+const rotatingCode = (accessCode, at) => {
+  const period = Math.floor(at.getTime() / periodMs(accessCode));
+  return toCode(crypto.createHmac('sha256', accessCode.secret).update(String(period)).digest());
+};
+
+// What to show in the room right now: { code, validUntil } (validUntil null for a static code)
+export const currentCode = (accessCode, now = new Date()) => {
+  if (!accessCode.rotationMinutes) return { code: accessCode.code, validUntil: null };
+  const period = periodMs(accessCode);
+  return { code: rotatingCode(accessCode, now), validUntil: new Date((Math.floor(now.getTime() / period) + 1) * period) };
+};
+
+const acceptsCode = (accessCode, input, now) => {
+  if (!accessCode.rotationMinutes) return sameCode(accessCode.code, input);
+  if (sameCode(rotatingCode(accessCode, now), input)) return true;
+  const previous = new Date(now.getTime() - ROTATION_GRACE_MS);
+  return sameCode(rotatingCode(accessCode, previous), input);
+};
+
+// Validate a test's accessControl settings payload. Returns an error message or null.
+export const validateAccessControl = (settings) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'accessControl must be an object';
+  for (const key of ['requireAccessCode', 'requireSeatCode']) {
+    if (settings[key] !== undefined && typeof settings[key] !== 'boolean') return `accessControl.${key} must be a boolean`;
+  }
+  return null;
+};
+
+// Validate a new access code payload. Returns an error message or null.
+export const validateAccessCodeInput = ({ label, rotationMinutes } = {}) => {
+  if (label !== undefined && (typeof label !== 'string' || label.length > 100)) return 'label must be a string of at most 100 characters';
+  if (rotationMinutes !== undefined && rotationMinutes !== null &&
+    (!Number.isInteger(rotationMinutes) || rotationMinutes < 1 || rotationMinutes > 24 * 60)) {
+    return 'rotationMinutes must be an integer from 1 to 1440, or null for a static code';
+  }
+  return null;
+};
+
+export const createAccessCode = async (testId, { label = '', rotationMinutes = null }, by) => {
+  const accessCode = await AccessCode.create({
+    test: testId,
+    label: label.trim(),
+    rotationMinutes: rotationMinutes || null,
+    code: rotationMinutes ? null : generateCode(),
+    secret: rotationMinutes ? crypto.randomBytes(32).toString('hex') : null,
+    createdBy: by
+  });
+  return accessCode;
+};
+
+// An admin-facing view of an access code: never the secret, always the code valid now
+export const describeAccessCode = (accessCode, now = new Date()) => ({
+  _id: accessCode._id,
+  label: accessCode.label,
+  rotationMinutes: accessCode.rotationMinutes,
+  revokedAt: accessCode.revokedAt,
+  createdAt: accessCode.createdAt,
+  ...(accessCode.revokedAt ? { code: null, validUntil: null } : currentCode(accessCode, now))
+});
+
+// Issue (or replace) seat codes for the given students. Returns [{ student, code }] with the
+// plain codes, which are not stored and cannot be shown again.
+export const issueSeatCodes = async (testId, studentIds, by) => {
+  const issued = [];
+  for (const student of studentIds) {
+    const code = generateCode();
+    const codeHash = await bcrypt.hash(code, SEAT_CODE_ROUNDS);
+    await SeatCode.findOneAndUpdate(
+      { test: testId, student },
+      { $set: { codeHash, createdBy: by, usedAt: null } },
+      { upsert: true }
+    );
+    issued.push({ student, code });
+  }
+  logger.info('Seat codes issued', { testId, count: issued.length, by });
+  return issued;
+};
+
+// Seconds until the student may try again, or 0. The TTL monitor only runs about once a
+// minute, so windows that have ended but not been removed yet are ignored here.
+const checkFailureLimit = async (key, now) => {
+  const record = await CodeFailure.findOne({ ...key, expiresAt: { $gt: now } }).lean();
+  if (!record || record.failures < MAX_CODE_FAILURES) return 0;
+  return Math.ceil((record.expiresAt.getTime() - now.getTime()) / 1000);
+};
+
+// Count one wrong code in a single update, so concurrent tries on any instance all count.
+// An ended window is restarted with this failure.
+const recordFailure = (key, now) => {
+  const open = { $gt: ['$expiresAt', now] };
+  return CodeFailure.updateOne(key, [{
+    $set: {
+      failures: { $cond: [open, { $add: ['$failures', 1] }, 1] },
+      expiresAt: { $cond: [open, '$expiresAt', new Date(now.getTime() + CODE_FAILURE_WINDOW)] }
+    }
+  }], { upsert: true });
+};
+
+// Check the codes a student gave to start a test against its accessControl settings.
+// Returns {} when the start may go ahead, or { error: { status, code, message } }.
+export const verifyStartCodes = async (test, studentId, { accessCode, seatCode, ip } = {}, now = new Date()) => {
+  const { requireAccessCode, requireSeatCode } = test.accessControl || {};
+  if (!requireAccessCode && !requireSeatCode) return {};
+
+  const key = { test: test._id, student: studentId };
+  const retryAfter = await checkFailureLimit(key, now);
+  if (retryAfter) {
+    logger.warn('Start code attempt blocked: rate limit exceeded', { testId: test._id, studentId, ip });
+    return { error: { status: 429, code: 'CODE_ATTEMPTS_EXCEEDED', message: 'Too many wrong codes. Please try again later.', retryAfter } };
+  }
+
+  const refuse = async (code, message, reason) => {
+    await recordFailure(key, now);
+    logger.warn('Start code rejected', { testId: test._id, studentId, ip, reason });
+    return { error: { status: 403, code, message } };
+  };
+
+  let matched = null;
+  if (requireAccessCode) {
+    const input = normalizeCode(accessCode);
+    if (!input) return { error: { status: 403, code: 'ACCESS_CODE_REQUIRED', message: 'An access code is required to start this test' } };
+    const codes = await AccessCode.find({ test: test._id, revokedAt: null }).lean();
+    matched = codes.find((c) => acceptsCode(c, input, now));
+    if (!matched) return refuse('ACCESS_CODE_INVALID', 'The access code is not valid', 'access-code');
+  }
+
+  if (requireSeatCode) {
+    const input = normalizeCode(seatCode);
+    if (!input) return { error: { status: 403, code: 'SEAT_CODE_REQUIRED', message: 'Your seat code is required to start this test' } };
+    const seat = await SeatCode.findOne({ test: test._id, student: studentId }).select('+codeHash').lean();
+    if (!seat || !(await bcrypt.compare(input, seat.codeHash))) return refuse('SEAT_CODE_INVALID', 'The seat code is not valid', 'seat-code');
+    await SeatCode.updateOne({ _id: seat._id, usedAt: null }, { $set: { usedAt: now } });
+  }
+
+  await CodeFailure.deleteOne(key);
+  logger.info('Start codes accepted', { testId: test._id, studentId, accessCodeId: matched?._id, label: matched?.label });
+  return {};
+};
@@ -0,0 +1,46 @@
+import User from '../models/User.js';
+
+// Extra-time accommodations. A student's profile (User.accommodation) applies to every test;
+// an entry in Test.accommodations overrides it for that test. The multiplier scales the test
+// duration and every section budget when the attempt starts.
+
+export const MAX_TIME_MULTIPLIER = 3;
+
+// Validate one accommodation payload ({ timeMultiplier, note }). Returns an error message or null.
+export const validateAccommodation = (a) => {
+  if (!a || typeof a.timeMultiplier !== 'number' || a.timeMultiplier < 1 || a.timeMultiplier > MAX_TIME_MULTIPLIER) {
+    return `timeMultiplier must be a number from 1 to ${MAX_TIME_MULTIPLIER}`;
+  }
+  if (a.note !== undefined && a.note !== null && typeof a.note !== 'string') return 'note must be a string';
+  return null;
+};
+
+// Validate a test's accommodations payload. Returns an error message or null.
+export const validateAccommodations = (list, isValidId) => {
+  if (!Array.isArray(list)) return 'accommodations must be an array';
+  const seen = new Set();
+  for (const a of list) {
+    if (!a || !isValidId(a.student)) return 'Every accommodation needs a valid student id';
+    if (seen.has(String(a.student))) return `Duplicate accommodation for student ${a.student}`;
+    seen.add(String(a.student));
+    const error = validateAccommodation(a);
+    if (error) return error;
+  }
+  return null;
+};
+
+export const normalizeAccommodation = (a) => ({
+  timeMultiplier: a.timeMultiplier,
+  note: a.note ? a.note.trim() : undefined
+});
+
+// The accommodation in force for a student on a test: { timeMultiplier, source, note },
+// with source 'test', 'user' or null when none applies
+export const resolveAccommodation = async (test, studentId) => {
+  const perTest = (test.accommodations || []).find((a) => String(a.student) === String(studentId));
+  if (perTest) return { timeMultiplier: perTest.timeMultiplier, source: 'test', note: perTest.note };
+  const user = await User.findById(studentId).select('accommodation').lean();
+  const profile = user && user.accommodation;
+  if (profile && profile.timeMultiplier > 1) return { timeMultiplier: profile.timeMultiplier, source: 'user', note: profile.note };
+  return { timeMultiplier: 1, source: null };
+};
@@ -0,0 +1,134 @@
+import path from 'path';
+import StudentAnswer from '../models/StudentAnswer.js';
+import logger from './logger.js';
+import { storeFile, removeFile, safeFileName } from './fileStorage.js';
+
+// Files attached to answers of file-type questions. Each question lists the extensions it
+// accepts and its size and count limits; the stored type comes from the extension (after a
+// content check), never from what the browser claimed.
+
+// Hard cap for one upload, whatever a question allows (multer limit)
+export const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+const MAX_FILES_LIMIT = 10;
+
+const TEXT = 'text/plain';
+export const FILE_TYPES = {
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  txt: TEXT,
+  md: TEXT,
+  csv: 'text/csv',
+  py: TEXT,
+  js: TEXT,
+  ts: TEXT,
+  java: TEXT,
+  c: TEXT,
+  cpp: TEXT,
+  h: TEXT,
+  cs: TEXT,
+  go: TEXT,
+  rb: TEXT,
+  sql: TEXT
+};
+
+export const DEFAULT_FILE_SETTINGS = { allowedTypes: ['pdf', 'zip', 'txt'], maxSizeMb: 5, maxFiles: 3 };
+
+export const fileSettingsFor = (question) => {
+  const s = question.fileSettings || {};
+  return {
+    allowedTypes: s.allowedTypes && s.allowedTypes.length ? s.allowedTypes : DEFAULT_FILE_SETTINGS.allowedTypes,
+    maxSizeMb: s.maxSizeMb || DEFAULT_FILE_SETTINGS.maxSizeMb,
+    maxFiles: s.maxFiles || DEFAULT_FILE_SETTINGS.maxFiles
+  };
+};
+
+// Validate a question's fileSettings payload. Returns an error message or null.
+export const validateFileSettings = (settings) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'fileSettings must be an object';
+  const { allowedTypes, maxSizeMb, maxFiles } = settings;
+  if (allowedTypes !== undefined) {
+    if (!Array.isArray(allowedTypes) || !allowedTypes.length) return 'fileSettings.allowedTypes must be a non-empty array';
+    const unknown = allowedTypes.find((t) => !FILE_TYPES[t]);
+    if (unknown !== undefined) return `Unsupported file type: ${unknown}. Allowed: ${Object.keys(FILE_TYPES).join(', ')}`;
+  }
+  if (maxSizeMb !== undefined && (typeof maxSizeMb !== 'number' || maxSizeMb <= 0 || maxSizeMb * 1024 * 1024 > MAX_UPLOAD_BYTES)) {
+    return `fileSettings.maxSizeMb must be a positive number up to ${MAX_UPLOAD_BYTES / 1024 / 1024}`;
+  }
+  if (maxFiles !== undefined && (!Number.isInteger(maxFiles) || maxFiles < 1 || maxFiles > MAX_FILES_LIMIT)) {
+    return `fileSettings.maxFiles must be an integer from 1 to ${MAX_FILES_LIMIT}`;
+  }
+  return null;
+};
+
+// Cheap content checks so a renamed file cannot pass as another type
+const contentMatches = (ext, buffer) => {
+  const head = buffer.subarray(0, 8);
+  if (ext === 'pdf') return head.toString('latin1').startsWith('%PDF-');
+  if (ext === 'zip' || ext === 'docx') return head[0] === 0x50 && head[1] === 0x4b && (head[2] === 3 || head[2] === 5);
+  // Text and source files: no NUL bytes near the start
+  return !buffer.subarray(0, 8192).includes(0);
+};
+
+// Check an uploaded file (multer memory file) against a question's settings.
+// Returns { error } or { ext, mimetype }.
+export const checkUpload = (question, file) => {
+  const settings = fileSettingsFor(question);
+  const ext = path.extname(file.originalname || '').slice(1).toLowerCase();
+  if (!settings.allowedTypes.includes(ext)) {
+    return { error: `This question accepts ${settings.allowedTypes.map((t) => `.${t}`).join(', ')} files` };
+  }
+  if (file.size > settings.maxSizeMb * 1024 * 1024) return { error: `Files for this question must be at most ${settings.maxSizeMb} MB` };
+  if (!file.size) return { error: 'The file is empty' };
+  if (!contentMatches(ext, file.buffer)) return { error: `The file content does not match a .${ext} file` };
+  return { ext, mimetype: FILE_TYPES[ext] };
+};
+
+// Store an upload and attach it to the answer. The push only applies while the answer has room,
+// so concurrent uploads cannot exceed the question's maxFiles; a file that lost the race is
+// removed again. Returns { file } or { error }.
+export const attachFile = async (answer, question, upload, mimetype) => {
+  const { maxFiles } = fileSettingsFor(question);
+  const stored = await storeFile(upload.buffer, {
+    folder: `answers/${answer.test}/${answer.student}`,
+    originalName: upload.originalname
+  });
+  const file = { ...stored, originalName: safeFileName(upload.originalname), mimetype, uploadedAt: new Date() };
+  const updated = await StudentAnswer.findOneAndUpdate(
+    { _id: answer._id, [`files.${maxFiles - 1}`]: { $exists: false } },
+    { $push: { files: file } },
+    { new: true }
+  );
+  if (!updated) {
+    await removeFile(stored);
+    return { error: `At most ${maxFiles} files can be attached to this question` };
+  }
+  logger.info('Answer file attached', { answerId: answer._id, storageKey: stored.storageKey, size: stored.size });
+  return { file: updated.files[updated.files.length - 1], answer: updated };
+};
+
+// Detach one file from an answer and delete it. Returns true when it was attached.
+export const detachFile = async (answerId, fileId) => {
+  const answer = await StudentAnswer.findOneAndUpdate(
+    { _id: answerId, 'files._id': fileId },
+    { $pull: { files: { _id: fileId } } }
+  ).select('files').lean();
+  if (!answer) return false;
+  const file = answer.files.find((f) => String(f._id) === String(fileId));
+  await removeFile(file);
+  logger.info('Answer file removed', { answerId, storageKey: file.storageKey });
+  return true;
+};
+
+// Delete the stored files of every answer matching the filter (before the answers themselves go)
+export const removeAnswerFiles = async (filter) => {
+  const answers = await StudentAnswer.find({ ...filter, 'files.0': { $exists: true } }).select('files').lean();
+  let removed = 0;
+  for (const a of answers) {
+    for (const f of a.files) {
+      if (await removeFile(f)) removed += 1;
+    }
+  }
+  if (removed) logger.info('Answer files removed', { filter, removed });
+  return removed;
+};
@@ -0,0 +1,159 @@
+import StudentTest from '../models/StudentTest.js';
+import Domain from '../models/Domain.js';
+import logger from './logger.js';
+import { computeDueTime } from './examSession.js';
+import { findSection, sectionBudgetMinutes } from './sections.js';
+
+// Proctor controls for live attempts: pause, resume and extend. Paused time does not count
+// against the attempt: on resume the attempt deadline and every open section clock move
+// forward by the time spent paused. Each change is appended to StudentTest.adjustments.
+// Updates are conditional on the state that was read, so a concurrent submit or expiry
+// sweep wins cleanly instead of being overwritten. Test-wide changes (a paused test resuming,
+// a moved end date) carry over to the running attempts the same way.
+
+export const ATTEMPT_ACTIONS = ['pause', 'resume', 'extend'];
+
+const MAX_EXTENSION_MINUTES = 24 * 60;
+
+const shift = (date, ms) => new Date(new Date(date).getTime() + ms);
+
+const minutesOf = (ms) => Math.round((ms / 60000) * 100) / 100;
+
+// Move the deadline of every section still open
+const shiftOpenTimers = (timers, ms) =>
+  (timers || []).map((t) => (t.lockedAt ? t : { ...t, dueTime: shift(t.dueTime, ms) }));
+
+// Validate an adjustment payload. Returns an error message or null.
+export const validateAdjustment = (action, { minutes, reason } = {}) => {
+  if (!ATTEMPT_ACTIONS.includes(action)) return `action must be one of: ${ATTEMPT_ACTIONS.join(', ')}`;
+  if (typeof reason !== 'string' || !reason.trim()) return 'reason is required';
+  if (action === 'extend' && (typeof minutes !== 'number' || minutes <= 0 || minutes > MAX_EXTENSION_MINUTES)) {
+    return `minutes must be a positive number up to ${MAX_EXTENSION_MINUTES}`;
+  }
+  return null;
+};
+
+// Apply one validated adjustment to an attempt. Returns { studentTest } or { error } with a message.
+export const adjustAttempt = async (studentTestId, action, { minutes, reason, by }) => {
+  const st = await StudentTest.findById(studentTestId).lean();
+  if (!st) return { error: 'Attempt not found' };
+  if (st.status !== 'in-progress') return { error: `Attempt is ${st.status}` };
+
+  const now = new Date();
+  const entry = { action, reason: reason.trim(), by, at: now, dueTimeBefore: st.dueTime };
+  const filter = { _id: st._id, status: 'in-progress', pausedAt: st.pausedAt || null, dueTime: st.dueTime };
+  let set;
+
+  if (action === 'pause') {
+    if (st.pausedAt) return { error: 'Attempt is already paused' };
+    if (now > st.dueTime) return { error: 'Attempt time has already run out' };
+    set = { pausedAt: now };
+    entry.dueTimeAfter = st.dueTime;
+  } else if (action === 'resume') {
+    if (!st.pausedAt) return { error: 'Attempt is not paused' };
+    const pausedMs = now - new Date(st.pausedAt);
+    set = { pausedAt: null, dueTime: shift(st.dueTime, pausedMs), sectionTimers: shiftOpenTimers(st.sectionTimers, pausedMs) };
+    entry.minutes = minutesOf(pausedMs);
+    entry.dueTimeAfter = set.dueTime;
+  } else {
+    const extraMs = minutes * 60 * 1000;
+    set = { dueTime: shift(st.dueTime, extraMs), sectionTimers: shiftOpenTimers(st.sectionTimers, extraMs) };
+    entry.minutes = minutes;
+    entry.dueTimeAfter = set.dueTime;
+  }
+
+  const updated = await StudentTest.findOneAndUpdate(filter, { $set: set, $push: { adjustments: entry } }, { new: true });
+  if (!updated) return { error: 'Attempt changed while being adjusted; try again' };
+  logger.info('Attempt adjusted', { studentTestId: st._id, student: st.student, test: st.test, action, minutes: entry.minutes, by });
+  return { studentTest: updated };
+};
+
+// Apply an adjustment to every live attempt of a test. Returns per-attempt outcomes.
+export const adjustTestAttempts = async (testId, action, options) => {
+  const attempts = await StudentTest.find({ test: testId, status: 'in-progress' }).select('_id student').lean();
+  const results = [];
+  for (const a of attempts) {
+    const result = await adjustAttempt(a._id, action, options);
+    results.push({ student: a.student, ok: !result.error, error: result.error, dueTime: result.studentTest?.dueTime });
+  }
+  return results;
+};
+
+// Give running attempts back the time their test spent paused (from pausedSince until now).
+// Only time on the attempt's own running clock counts: time a proctor had the attempt paused
+// itself is credited by its own resume.
+export const resumeTestAttempts = async (testId, pausedSince, { by, reason } = {}, now = new Date()) => {
+  const attempts = await StudentTest.find({ test: testId, status: 'in-progress' })
+    .select('dueTime pausedAt sectionTimers adjustments')
+    .lean();
+  let resumed = 0;
+  for (const st of attempts) {
+    const lastOwnResume = (st.adjustments || [])
+      .filter((a) => a.action === 'resume')
+      .reduce((latest, a) => Math.max(latest, new Date(a.at).getTime()), 0);
+    const from = Math.max(new Date(pausedSince).getTime(), lastOwnResume);
+    const until = st.pausedAt ? Math.min(new Date(st.pausedAt).getTime(), now.getTime()) : now.getTime();
+    const pausedMs = until - from;
+    if (pausedMs <= 0) continue;
+    const dueTime = shift(st.dueTime, pausedMs);
+    const entry = {
+      action: 'resume',
+      minutes: minutesOf(pausedMs),
+      reason: (reason && reason.trim()) || 'Test resumed',
+      by,
+      at: now,
+      dueTimeBefore: st.dueTime,
+      dueTimeAfter: dueTime
+    };
+    const res = await StudentTest.updateOne(
+      { _id: st._id, status: 'in-progress', pausedAt: st.pausedAt || null, dueTime: st.dueTime },
+      { $set: { dueTime, sectionTimers: shiftOpenTimers(st.sectionTimers, pausedMs) }, $push: { adjustments: entry } }
+    );
+    resumed += res.modifiedCount;
+  }
+  if (resumed) logger.info('Attempts resumed with their test', { testId, attempts: resumed, pausedSince });
+  return resumed;
+};
+
+// Move running attempts whose deadline sat on the test's previous end date (see computeDueTime)
+// to the deadline the new end date gives. Deadlines a proctor has adjusted since no longer match
+// the old cap and keep their own value. Open section clocks that ended with the attempt follow it.
+export const refitTestDeadlines = async (test, previousEndDate) => {
+  const current = typeof test.toObject === 'function' ? test.toObject() : test;
+  if (new Date(previousEndDate).getTime() === new Date(current.endDate).getTime()) return 0;
+  const previous = { ...current, endDate: previousEndDate };
+  const attempts = await StudentTest.find({ test: current._id, status: 'in-progress' })
+    .select('startTime dueTime pausedAt selectedDomain sectionTimers accommodation')
+    .lean();
+  const domains = new Map();
+  let refitted = 0;
+  for (const st of attempts) {
+    if (!st.startTime || !st.dueTime) continue;
+    const start = new Date(st.startTime);
+    const multiplier = (st.accommodation && st.accommodation.timeMultiplier) || 1;
+    if (computeDueTime(previous, start, multiplier).getTime() !== new Date(st.dueTime).getTime()) continue;
+    const dueTime = computeDueTime(current, start, multiplier);
+    if (dueTime.getTime() === new Date(st.dueTime).getTime()) continue;
+
+    const domainKey = String(st.selectedDomain);
+    if (!domains.has(domainKey)) domains.set(domainKey, await Domain.findById(st.selectedDomain).select('sections').lean());
+    const sectionTimers = (st.sectionTimers || []).map((t) => {
+      if (t.lockedAt) return t;
+      // A clock never outlasts the attempt
+      if (new Date(t.dueTime).getTime() !== new Date(st.dueTime).getTime()) {
+        return { ...t, dueTime: new Date(Math.min(new Date(t.dueTime).getTime(), dueTime.getTime())) };
+      }
+      const sectionDef = findSection(domains.get(domainKey), t.section);
+      const budget = sectionDef ? sectionBudgetMinutes(current, sectionDef) : null;
+      const due = budget ? Math.min(new Date(t.enteredAt).getTime() + budget * multiplier * 60 * 1000, dueTime.getTime()) : dueTime.getTime();
+      return { ...t, dueTime: new Date(due) };
+    });
+    const res = await StudentTest.updateOne(
+      { _id: st._id, status: 'in-progress', dueTime: st.dueTime },
+      { $set: { dueTime, sectionTimers } }
+    );
+    refitted += res.modifiedCount;
+  }
+  if (refitted) logger.info('Attempt deadlines moved with test end date', { testId: current._id, attempts: refitted, endDate: current.endDate });
+  return refitted;
+};
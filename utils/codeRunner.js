@@ -0,0 +1,169 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import logger from './logger.js';
+
+// Runs student code against test cases, one child process per case. Each process gets its own
+// empty temporary directory, no environment beyond PATH, a CPU-time rlimit, a memory cap, a
+// wall-clock timeout and an output cap; it is killed (with anything it spawned) as soon as a
+// limit is hit. None of that isolates the network, and Python can also read any file the server
+// can, so no language is offered unless CODE_RUNNER_WRAPPER points at a sandbox command (e.g. an
+// nsjail or bubblewrap config without network access that hides the host filesystem) that every
+// run is started through. JavaScript additionally runs under Node's permission model, which
+// keeps it from reading outside its directory, writing files or starting processes.
+
+export const LANGUAGES = {
+  javascript: {
+    file: 'main.js',
+    // V8 ignores address-space limits, so its heap is capped with a flag instead
+    command: (dir, file, limits) => [process.execPath, [
+      '--experimental-permission', '--disable-warning=ExperimentalWarning', `--allow-fs-read=${dir}`, `--max-old-space-size=${limits.memoryMb}`, file
+    ]],
+    addressSpaceLimit: false,
+    outOfMemory: /heap out of memory/i,
+    // The permission model does not cover sockets: MongoDB and internal services stay reachable
+    requiresSandbox: true
+  },
+  python: {
+    file: 'main.py',
+    command: (dir, file) => [process.env.CODE_RUNNER_PYTHON || 'python3', ['-I', '-S', '-B', file]],
+    addressSpaceLimit: true,
+    outOfMemory: /MemoryError/,
+    // Could otherwise read any file the server can, .env included
+    requiresSandbox: true
+  }
+};
+
+const wrapperCommand = () => (process.env.CODE_RUNNER_WRAPPER || '').split(/\s+/).filter(Boolean);
+
+// Whether code in the language can be run on this server
+export const isLanguageAvailable = (language) =>
+  Boolean(LANGUAGES[language]) && (!LANGUAGES[language].requiresSandbox || wrapperCommand().length > 0);
+
+export const availableLanguages = () => Object.keys(LANGUAGES).filter(isLanguageAvailable);
+
+export const DEFAULT_LIMITS = { timeMs: 2000, memoryMb: 128, outputBytes: 64 * 1024 };
+export const MAX_LIMITS = { timeMs: 10000, memoryMb: 512, outputBytes: 1024 * 1024 };
+
+// Processes started at once across the server; further runs wait their turn
+const MAX_CONCURRENT = Math.max(1, Number(process.env.CODE_RUNNER_CONCURRENCY || 2));
+let active = 0;
+const waiting = [];
+
+const acquire = () => new Promise((resolve) => {
+  if (active < MAX_CONCURRENT) {
+    active += 1;
+    resolve();
+  } else {
+    waiting.push(resolve);
+  }
+});
+
+const release = () => {
+  const next = waiting.shift();
+  if (next) next();
+  else active -= 1;
+};
+
+// Outputs match when they agree line by line, ignoring trailing whitespace and trailing blank lines
+export const outputsMatch = (actual, expected) => {
+  const lines = (text) => String(text ?? '').replace(/\r\n/g, '\n').split('\n').map((l) => l.trimEnd()).join('\n').trimEnd();
+  return lines(actual) === lines(expected);
+};
+
+const killGroup = (child) => {
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (e) {
+    // Already gone
+  }
+};
+
+// Run a program once with the given stdin.
+// Returns { status, stdout, stderr, timeMs } with status one of ok, runtime-error,
+// time-limit, memory-limit or output-limit.
+const runOnce = async (language, dir, input, limits) => {
+  const lang = LANGUAGES[language];
+  const [cmd, args] = lang.command(dir, path.join(dir, lang.file), limits);
+  const cpuSeconds = Math.max(1, Math.ceil(limits.timeMs / 1000));
+  const rlimits = [`ulimit -t ${cpuSeconds}`, 'ulimit -f 1024', 'ulimit -c 0'];
+  if (lang.addressSpaceLimit) rlimits.push(`ulimit -v ${limits.memoryMb * 1024}`);
+  const wrapper = wrapperCommand();
+
+  await acquire();
+  const started = Date.now();
+  try {
+    return await new Promise((resolve) => {
+      const child = spawn('/bin/sh', ['-c', `${rlimits.join('; ')}; exec "$@"`, 'sh', ...wrapper, cmd, ...args], {
+        cwd: dir,
+        env: { PATH: process.env.PATH || '/usr/bin:/bin' },
+        detached: true,
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+      let stdout = '';
+      let stderr = '';
+      let bytes = 0;
+      let limitHit = null;
+
+      const stop = (status) => {
+        if (!limitHit) limitHit = status;
+        killGroup(child);
+      };
+      // Wall clock covers sleeping or blocked programs the CPU limit never catches
+      const wallTimer = setTimeout(() => stop('time-limit'), limits.timeMs * 2 + 1000);
+
+      const collect = (stream) => (chunk) => {
+        bytes += chunk.length;
+        if (bytes > limits.outputBytes) return stop('output-limit');
+        if (stream === 'stdout') stdout += chunk;
+        else stderr += chunk;
+      };
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+      child.stdin.on('error', () => {});
+      child.stdin.end(input || '');
+
+      child.on('error', (e) => {
+        clearTimeout(wallTimer);
+        resolve({ status: 'runtime-error', stdout: '', stderr: e.message, timeMs: Date.now() - started });
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(wallTimer);
+        const timeMs = Date.now() - started;
+        let status = limitHit;
+        if (!status && (signal === 'SIGXCPU' || signal === 'SIGKILL')) status = 'time-limit';
+        if (!status && lang.outOfMemory.test(stderr)) status = 'memory-limit';
+        if (!status) status = code === 0 ? 'ok' : 'runtime-error';
+        if (status === 'ok' && timeMs > limits.timeMs * 2) status = 'time-limit';
+        resolve({ status, stdout, stderr, timeMs });
+      });
+    });
+  } finally {
+    release();
+  }
+};
+
+// Run a program against test cases in order.
+// Returns [{ status, passed, stdout, stderr, timeMs }] with status 'wrong-answer' for a run that
+// finished but printed the wrong output.
+export const runTestCases = async ({ language, source, testCases, limits = {} }) => {
+  if (!LANGUAGES[language]) throw new Error(`Unsupported language: ${language}`);
+  if (!isLanguageAvailable(language)) throw new Error(`${language} needs CODE_RUNNER_WRAPPER to be set`);
+  const effective = { ...DEFAULT_LIMITS, ...limits };
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-run-'));
+  try {
+    await fs.writeFile(path.join(dir, LANGUAGES[language].file), source || '');
+    const results = [];
+    for (const testCase of testCases) {
+      const run = await runOnce(language, dir, testCase.input, effective);
+      const passed = run.status === 'ok' && outputsMatch(run.stdout, testCase.expectedOutput);
+      results.push({ ...run, status: run.status === 'ok' && !passed ? 'wrong-answer' : run.status, passed });
+    }
+    return results;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true }).catch((e) => {
+      logger.warn('Code runner cleanup failed', { dir, error: e.message });
+    });
+  }
+};
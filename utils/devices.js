@@ -0,0 +1,134 @@
+import net from 'net';
+import StudentTest from '../models/StudentTest.js';
+import logger from './logger.js';
+
+// Where an attempt is taken from: the client IP, user agent and a fingerprint the exam client
+// sends in the X-Client-Fingerprint header. Each distinct combination seen on start or on an
+// answer submit is kept on StudentTest.devices, so an attempt that moves machines shows up
+// with several entries and a machine shared by two candidates shows up under both attempts.
+
+export const FINGERPRINT_HEADER = 'x-client-fingerprint';
+const MAX_FINGERPRINT_LENGTH = 128;
+const MAX_USER_AGENT_LENGTH = 512;
+// Entries kept per attempt; the first ones seen are the ones worth keeping
+const MAX_DEVICES = 50;
+
+// IPv4 clients reach a dual-stack server as ::ffff:a.b.c.d
+export const normalizeIp = (ip) => (ip && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip || null);
+
+// Client details of a request. The fingerprint is opaque to the server; anything that does not
+// look like one is dropped rather than stored.
+export const clientInfo = (req) => {
+  const fingerprint = req.get(FINGERPRINT_HEADER);
+  return {
+    ip: normalizeIp(req.ip),
+    userAgent: (req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH) || null,
+    fingerprint: fingerprint && fingerprint.length <= MAX_FINGERPRINT_LENGTH && /^[\w.:+/=-]+$/.test(fingerprint) ? fingerprint : null
+  };
+};
+
+const parseEntry = (entry) => {
+  const [address, prefix] = String(entry).trim().split('/');
+  const family = net.isIP(address);
+  if (!family) return null;
+  if (prefix === undefined) return { address, family };
+  const bits = Number(prefix);
+  if (!/^\d+$/.test(prefix) || bits > (family === 4 ? 32 : 128)) return null;
+  return { address, family, bits };
+};
+
+// Validate a test's IP allowlist: addresses or CIDR ranges. Returns an error message or null.
+export const validateIpAllowlist = (list) => {
+  if (!Array.isArray(list)) return 'ipAllowlist must be an array of addresses or CIDR ranges';
+  const bad = list.find((entry) => typeof entry !== 'string' || !parseEntry(entry));
+  return bad === undefined ? null : `Invalid ipAllowlist entry: ${bad}`;
+};
+
+// Whether an IP may take the test. An empty allowlist allows everyone.
+export const isIpAllowed = (test, ip) => {
+  const list = test.ipAllowlist || [];
+  if (!list.length) return true;
+  const address = normalizeIp(ip);
+  if (!address || !net.isIP(address)) return false;
+  const blocks = new net.BlockList();
+  for (const entry of list) {
+    const parsed = parseEntry(entry);
+    if (!parsed) continue;
+    const type = parsed.family === 4 ? 'ipv4' : 'ipv6';
+    if (parsed.bits === undefined) blocks.addAddress(parsed.address, type);
+    else blocks.addSubnet(parsed.address, parsed.bits, type);
+  }
+  return blocks.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+};
+
+const bumpDevice = (studentTestId, same, now) => StudentTest.updateOne(
+  { _id: studentTestId, devices: { $elemMatch: same } },
+  { $set: { 'devices.$.lastSeenAt': now }, $inc: { 'devices.$.seenCount': 1 } }
+);
+
+// Record the client of a request on an attempt. A known combination only has its lastSeenAt and
+// count bumped; each update is conditional, so concurrent requests never store a duplicate.
+// Returns whether a new entry was added.
+export const recordDevice = async (studentTestId, client, event, now = new Date()) => {
+  const same = { ip: client.ip, userAgent: client.userAgent, fingerprint: client.fingerprint };
+  const seen = await bumpDevice(studentTestId, same, now);
+  if (seen.matchedCount) return false;
+
+  const added = await StudentTest.updateOne(
+    { _id: studentTestId, devices: { $not: { $elemMatch: same } }, [`devices.${MAX_DEVICES - 1}`]: { $exists: false } },
+    { $push: { devices: { ...same, event, firstSeenAt: now, lastSeenAt: now, seenCount: 1 } } }
+  );
+  if (added.modifiedCount) {
+    logger.info('Attempt device recorded', { studentTestId, event, ip: client.ip, fingerprint: client.fingerprint });
+    return true;
+  }
+  // Either another request added it just now or the attempt's list is full
+  await bumpDevice(studentTestId, same, now);
+  return false;
+};
+
+const distinct = (values) => [...new Set(values.filter(Boolean))];
+
+// Attempts of a test that changed machine, and fingerprints or IPs used by more than one
+// student. Shared IPs are expected behind a lab's NAT, so they are listed separately.
+export const deviceReport = async (testId) => {
+  const attempts = await StudentTest.find({ test: testId, 'devices.0': { $exists: true } })
+    .select('student status startTime devices')
+    .populate('student', 'name email')
+    .lean();
+
+  const changed = [];
+  const byFingerprint = new Map();
+  const byIp = new Map();
+  const note = (map, key, attempt) => {
+    if (!map.has(key)) map.set(key, new Map());
+    map.get(key).set(String(attempt.student?._id || attempt.student), attempt.student);
+  };
+
+  for (const attempt of attempts) {
+    const fingerprints = distinct(attempt.devices.map((d) => d.fingerprint));
+    const ips = distinct(attempt.devices.map((d) => d.ip));
+    const userAgents = distinct(attempt.devices.map((d) => d.userAgent));
+    const changes = [];
+    if (fingerprints.length > 1) changes.push('fingerprint');
+    if (ips.length > 1) changes.push('ip');
+    if (userAgents.length > 1) changes.push('user-agent');
+    if (changes.length) {
+      changed.push({ studentTestId: attempt._id, student: attempt.student, status: attempt.status, changes, devices: attempt.devices });
+    }
+    fingerprints.forEach((f) => note(byFingerprint, f, attempt));
+    ips.forEach((ip) => note(byIp, ip, attempt));
+  }
+
+  const shared = (map, key) => [...map.entries()]
+    .filter(([, students]) => students.size > 1)
+    .map(([value, students]) => ({ [key]: value, students: [...students.values()] }))
+    .sort((a, b) => b.students.length - a.students.length);
+
+  return {
+    attempts: attempts.length,
+    changed,
+    sharedFingerprints: shared(byFingerprint, 'fingerprint'),
+    sharedIps: shared(byIp, 'ip')
+  };
+};
@@ -0,0 +1,268 @@
+import mongoose from 'mongoose';
+import Test from '../models/Test.js';
+import StudentTest from '../models/StudentTest.js';
+import Domain from '../models/Domain.js';
+import logger from './logger.js';
+import { drawPaper, isInPaper } from './questionDraw.js';
+import { findSection, sectionBudgetMinutes } from './sections.js';
+import { isTestOpen } from './testLifecycle.js';
+import { resolveAccommodation } from './accommodations.js';
+import { isIpAllowed } from './devices.js';
+import { verifyStartCodes } from './accessCodes.js';
+
+// Server-side exam session rules shared by /tests and the legacy /student-answers flow.
+// Deadlines always come from the stored StudentTest, never from the client.
+// Functions return { error: { status, code, message, ... } } instead of throwing so routes can relay it as-is.
+
+const fail = (status, code, message, extra = {}) => ({ error: { status, code, message, ...extra } });
+
+// Send a service error to the client, keeping the HTTP status out of the body
+export const sendSessionError = (res, error) => {
+  const { status, ...body } = error;
+  return res.status(status).json(body);
+};
+
+// Tests without eligibleStudents are open to every student
+export const isEligible = (test, studentId) =>
+  !Array.isArray(test.eligibleStudents) ||
+  test.eligibleStudents.length === 0 ||
+  test.eligibleStudents.map(String).includes(String(studentId));
+
+// The clock stands still while a proctor has the attempt paused
+export const timeRemaining = (st, now = new Date()) => Math.max(0, new Date(st.dueTime) - (st.pausedAt ? new Date(st.pausedAt) : now));
+
+// The attempt deadline: test duration (scaled by any extra-time multiplier) from start, but never
+// past the test window. Students with extra time get the window extended by the same extra time.
+export const computeDueTime = (test, start, timeMultiplier = 1) => {
+  const durationMs = (test.durationMinutes || 60) * 60 * 1000;
+  const extraMs = durationMs * (timeMultiplier - 1);
+  return new Date(Math.min(start.getTime() + durationMs + extraMs, new Date(test.endDate).getTime() + extraMs));
+};
+
+// A clock for a section entered now; it never outlasts the attempt itself
+const openSectionTimer = (test, sectionDef, attemptDue, now, timeMultiplier = 1) => {
+  const budget = sectionBudgetMinutes(test, sectionDef);
+  const due = budget ? Math.min(now.getTime() + budget * timeMultiplier * 60 * 1000, attemptDue.getTime()) : attemptDue.getTime();
+  return { section: sectionDef.name, enteredAt: now, dueTime: new Date(due), lockedAt: null };
+};
+
+export const findSectionTimer = (studentTest, section) =>
+  (studentTest.sectionTimers || []).find((t) => t.section === section) || null;
+
+export const isSectionOpen = (timer, now = new Date()) => !timer.lockedAt && now <= timer.dueTime;
+
+// Attempts started before section clocks only ever cover their selectedSection
+const hasEnteredSection = (studentTest, section) =>
+  studentTest.sectionTimers && studentTest.sectionTimers.length
+    ? !!findSectionTimer(studentTest, section)
+    : studentTest.selectedSection === section;
+
+// Resolve a section of a domain, honouring the test's own section list.
+// Returns { sectionDef } or { error }.
+const resolveSection = async (test, domainId, section) => {
+  const domain = await Domain.findById(domainId).select('sections').lean();
+  if (!domain) return fail(404, 'DOMAIN_NOT_FOUND', 'Domain not found');
+  const sectionDef = findSection(domain, section);
+  if (!sectionDef || (test.sections && test.sections.length && !test.sections.includes(section))) {
+    return fail(403, 'SECTION_NOT_IN_TEST', 'Invalid section');
+  }
+  return { sectionDef };
+};
+
+// Lab sittings only accept requests from the test's allowlisted addresses. Callers that pass no
+// client (internal checks) are not restricted.
+const checkClientIp = (test, client) =>
+  client && !isIpAllowed(test, client.ip)
+    ? fail(403, 'IP_NOT_ALLOWED', 'This test can only be taken from an approved network')
+    : null;
+
+// Start (or return the running) attempt for a student. client ({ ip, ... }) is checked
+// against the test's IP allowlist; codes ({ accessCode, seatCode }) are needed only to begin a
+// new attempt of a test that requires them. Returns { test, studentTest, resumed } or { error }.
+export const startSession = async ({ studentId, testId, domainId, section, client, codes }) => {
+  if (!mongoose.Types.ObjectId.isValid(String(testId))) return fail(400, 'INVALID_TEST_ID', 'Invalid test id');
+  if (!mongoose.Types.ObjectId.isValid(String(domainId))) return fail(400, 'INVALID_DOMAIN_ID', 'Invalid domain id');
+
+  const test = await Test.findById(testId).lean();
+  if (!test) return fail(404, 'TEST_NOT_FOUND', 'Test not found');
+  if (!isEligible(test, studentId)) {
+    logger.warn('Ineligible student attempted to start test', { studentId, testId });
+    return fail(403, 'NOT_ELIGIBLE', 'You are not eligible for this test');
+  }
+  if (!isTestOpen(test)) return fail(400, 'TEST_NOT_ACTIVE', 'Test is not active', { testStatus: test.status });
+  const ipError = checkClientIp(test, client);
+  if (ipError) {
+    logger.warn('Start refused from address outside allowlist', { studentId, testId, ip: client.ip });
+    return ipError;
+  }
+  if (!test.domains.map(String).includes(String(domainId))) {
+    logger.warn('Student requested domain not in test', { studentId, testId, domainId });
+    return fail(403, 'DOMAIN_NOT_IN_TEST', 'Domain not in this test');
+  }
+  const resolved = await resolveSection(test, domainId, section);
+  if (resolved.error) return resolved;
+
+  const existing = await StudentTest.findOne({ student: studentId, test: test._id });
+  if (existing && (existing.status === 'completed' || existing.status === 'expired')) {
+    logger.warn('Student attempted to start an already completed test', { studentId, testId });
+    return fail(400, 'ALREADY_COMPLETED', 'You have already completed this test');
+  }
+
+  const now = new Date();
+  if (existing && existing.status === 'in-progress') {
+    if (!existing.pausedAt && existing.dueTime && now > existing.dueTime) {
+      // Answers are finalized by the expiry sweeper
+      await StudentTest.updateOne(
+        { _id: existing._id, status: 'in-progress' },
+        { $set: { status: 'expired', endTime: existing.dueTime, endReason: 'timed-out', finalizedAt: null } }
+      );
+      return fail(403, 'EXAM_EXPIRED', 'Exam time has expired', { examExpired: true });
+    }
+    if (String(existing.selectedDomain) !== String(domainId) || !hasEnteredSection(existing, section)) {
+      return fail(400, 'ATTEMPT_ALREADY_STARTED', 'Attempt already started with a different domain or section');
+    }
+    // Re-entering a running attempt keeps the original deadline
+    return { test, studentTest: existing, resumed: true };
+  }
+
+  const verified = await verifyStartCodes(test, studentId, { ...codes, ip: client?.ip });
+  if (verified.error) return verified;
+
+  const questions = await drawPaper(test, domainId, section);
+  const accommodation = await resolveAccommodation(test, studentId);
+  const dueTime = computeDueTime(test, now, accommodation.timeMultiplier);
+  const sectionTimers = [openSectionTimer(test, resolved.sectionDef, dueTime, now, accommodation.timeMultiplier)];
+  let studentTest;
+  try {
+    // Only a pending (or missing) record becomes a new attempt, so a concurrent start can
+    // never overwrite the clock of an attempt that has just begun
+    studentTest = await StudentTest.findOneAndUpdate(
+      { student: studentId, test: test._id, status: 'pending' },
+      { $set: { startTime: now, dueTime, status: 'in-progress', selectedDomain: domainId, selectedSection: section, questions, sectionTimers, accommodation, finalizedAt: null } },
+      { upsert: true, new: true }
+    );
+  } catch (e) {
+    if (e.code !== 11000) throw e;
+    // Lost the race to another start request: resume the attempt it created
+    return startSession({ studentId, testId, domainId, section, client, codes });
+  }
+  logger.info('Exam session started', { studentId, testId, dueTime: studentTest.dueTime, questionCount: questions.length, timeMultiplier: accommodation.timeMultiplier });
+  return { test, studentTest, resumed: false };
+};
+
+// Load a student's running attempt and re-check eligibility, the IP allowlist and the test's domains.
+// Returns { test, studentTest } or { error }.
+export const getRunningAttempt = async ({ studentId, testId, client }) => {
+  if (!mongoose.Types.ObjectId.isValid(String(testId))) return fail(400, 'INVALID_TEST_ID', 'Invalid test id');
+
+  const [test, studentTest] = await Promise.all([
+    Test.findById(testId).lean(),
+    StudentTest.findOne({ student: studentId, test: testId })
+  ]);
+  if (!test) return fail(404, 'TEST_NOT_FOUND', 'Test not found');
+  if (!isEligible(test, studentId)) return fail(403, 'NOT_ELIGIBLE', 'You are not eligible for this test');
+  const ipError = checkClientIp(test, client);
+  if (ipError) return ipError;
+  if (!studentTest || studentTest.status === 'pending' || !studentTest.dueTime) {
+    return fail(404, 'SESSION_NOT_STARTED', 'Exam session not started');
+  }
+  if (studentTest.status !== 'in-progress') {
+    return fail(403, 'SESSION_CLOSED', 'Exam session is closed', { examExpired: studentTest.status === 'expired' });
+  }
+  // Admin overrides apply to running attempts too. A test finishing on schedule does not end
+  // attempts a proctor has extended past endDate; their own dueTime does.
+  if (test.status === 'paused') return fail(403, 'TEST_PAUSED', 'This test is paused');
+  if (test.statusOverride === 'finished') return fail(403, 'TEST_FINISHED', 'This test has finished');
+  if (studentTest.pausedAt) {
+    return fail(403, 'ATTEMPT_PAUSED', 'Your attempt is paused by a proctor', { timeRemaining: timeRemaining(studentTest) });
+  }
+  if (new Date() > studentTest.dueTime) {
+    return fail(403, 'EXAM_EXPIRED', 'Exam time has expired', { examExpired: true });
+  }
+  if (!test.domains.map(String).includes(String(studentTest.selectedDomain))) {
+    return fail(403, 'DOMAIN_NOT_IN_TEST', 'Domain not in this test');
+  }
+  return { test, studentTest };
+};
+
+// Move a running attempt on to another section of its domain. Any open section is locked,
+// the new section's clock starts now and its questions are drawn onto the student's paper.
+// Re-entering the current section returns its timer. Returns { test, studentTest, timer, resumed } or { error }.
+export const enterSection = async ({ studentId, testId, section, client }) => {
+  const attempt = await getRunningAttempt({ studentId, testId, client });
+  if (attempt.error) return attempt;
+  const { test, studentTest } = attempt;
+
+  const existingTimer = findSectionTimer(studentTest, section);
+  if (existingTimer) {
+    if (!isSectionOpen(existingTimer)) return fail(403, 'SECTION_LOCKED', 'This section is locked');
+    return { test, studentTest, timer: existingTimer, resumed: true };
+  }
+
+  const resolved = await resolveSection(test, studentTest.selectedDomain, section);
+  if (resolved.error) return resolved;
+
+  const now = new Date();
+  // Attempts started before section clocks get one for the section they started in
+  if (!studentTest.sectionTimers.length && studentTest.selectedSection) {
+    studentTest.sectionTimers.push({ section: studentTest.selectedSection, enteredAt: studentTest.startTime, dueTime: studentTest.dueTime, lockedAt: null });
+  }
+  studentTest.sectionTimers.forEach((t) => {
+    if (!t.lockedAt) t.lockedAt = now < t.dueTime ? now : t.dueTime;
+  });
+  const timeMultiplier = (studentTest.accommodation && studentTest.accommodation.timeMultiplier) || 1;
+  studentTest.sectionTimers.push(openSectionTimer(test, resolved.sectionDef, studentTest.dueTime, now, timeMultiplier));
+  studentTest.questions.push(...(await drawPaper(test, studentTest.selectedDomain, section)));
+  await studentTest.save();
+
+  const timer = findSectionTimer(studentTest, section);
+  logger.info('Student entered section', { studentId, testId, section, dueTime: timer.dueTime });
+  return { test, studentTest, timer, resumed: false };
+};
+
+// Check that a student may fetch questions of a domain (optionally one section) within their attempt.
+// Returns { test, studentTest } or { error }.
+export const checkQuestionAccess = async ({ studentId, testId, domainId, section, client }) => {
+  if (!testId) return fail(403, 'ATTEMPT_REQUIRED', 'Questions are only available within a started test');
+  const attempt = await getRunningAttempt({ studentId, testId, client });
+  if (attempt.error) return attempt;
+  if (String(attempt.studentTest.selectedDomain) !== String(domainId)) {
+    return fail(403, 'DOMAIN_MISMATCH', 'Domain does not match this attempt');
+  }
+  if (section && !hasEnteredSection(attempt.studentTest, section)) {
+    return fail(403, 'SECTION_MISMATCH', 'Section has not been entered in this attempt');
+  }
+  return attempt;
+};
+
+// Check that a student may write an answer now to the given question of a test.
+// Returns { test, studentTest } or { error }.
+export const checkAnswerWindow = async ({ studentId, testId, domainId, section, question, client }) => {
+  const attempt = await checkQuestionAccess({ studentId, testId, domainId, section, client });
+  if (attempt.error) return attempt;
+  const { studentTest } = attempt;
+  if (!question || !question.isActive || String(question.domain) !== String(studentTest.selectedDomain)) {
+    return fail(403, 'QUESTION_NOT_IN_DOMAIN', 'Question does not belong to the domain of this attempt');
+  }
+  if (question.section !== section || !hasEnteredSection(studentTest, question.section)) {
+    return fail(403, 'QUESTION_NOT_IN_SECTION', 'Question does not belong to the section of this attempt');
+  }
+  if (!isInPaper(studentTest, question._id)) {
+    return fail(403, 'QUESTION_NOT_IN_ATTEMPT', 'Question is not part of your paper');
+  }
+
+  // A section's own clock applies even while the attempt as a whole is still open
+  const timer = findSectionTimer(studentTest, question.section);
+  if (timer && !isSectionOpen(timer)) {
+    if (!timer.lockedAt) {
+      timer.lockedAt = timer.dueTime;
+      await studentTest.save();
+      logger.info('Section locked on expiry', { studentId, testId, section: timer.section });
+    }
+    const expired = timer.lockedAt >= timer.dueTime;
+    return expired
+      ? fail(403, 'SECTION_TIME_EXPIRED', 'Time for this section has run out', { sectionExpired: true })
+      : fail(403, 'SECTION_LOCKED', 'This section is locked');
+  }
+  return attempt;
+};
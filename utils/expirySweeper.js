@@ -0,0 +1,158 @@
+import Test from '../models/Test.js';
+import StudentTest from '../models/StudentTest.js';
+import StudentAnswer from '../models/StudentAnswer.js';
+import logger from './logger.js';
+import { gradeMcqAnswers, gradeCodeAnswers } from './grading.js';
+import { recordRevision } from './revisions.js';
+import { issueReceipt } from './receipts.js';
+
+// Background job that closes attempts whose dueTime has passed without a submit
+// (e.g. the student closed the browser). Every step is a conditional update, so
+// overlapping runs — on this instance or on others sharing the database — cannot
+// close or finalize an attempt twice or lose one: closing and finalizing are each claimed
+// by exactly one run, and finalizing is retried until it has been recorded.
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+// A finalize claim older than this belongs to a run that died; another run may take it over
+const FINALIZE_CLAIM_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Ended attempts still to be finalized that no live run has claimed. Attempts are started and
+// closed with an explicit finalizedAt: null; attempts that ended before finalizing existed have
+// no finalizedAt at all and are left as they are.
+const unclaimedFilter = (now) => ({
+  status: { $in: ['completed', 'expired'] },
+  finalizedAt: { $exists: true, $eq: null },
+  $or: [{ finalizingAt: null }, { finalizingAt: { $lt: new Date(now.getTime() - FINALIZE_CLAIM_MS) } }]
+});
+
+// Claim an ended, unfinalized attempt for finalizing. Returns the attempt, or null when it is
+// already finalized or another run holds a live claim.
+export const claimFinalization = (studentTestId) => {
+  const claimedAt = new Date();
+  return StudentTest.findOneAndUpdate(
+    { _id: studentTestId, ...unclaimedFilter(claimedAt) },
+    { $set: { finalizingAt: claimedAt } },
+    { new: true }
+  );
+};
+
+// Submit the stored answers of an ended attempt, grade its MCQs and code answers and issue its
+// receipt, then mark it finalized. The caller must hold the attempt's finalize claim.
+// Answers that only exist as autosaved drafts are submitted from the draft; answers of
+// timed-out attempts are flagged as auto-submitted.
+export const finalizeAttempt = async (studentTest, now = new Date()) => {
+  const filter = { student: studentTest.student, test: studentTest.test };
+  const timedOut = studentTest.endReason === 'timed-out';
+
+  const drafts = await StudentAnswer.find({ ...filter, isSubmitted: false });
+  for (const answer of drafts) {
+    const draft = answer.draft || {};
+    answer.answerText = draft.answerText;
+    answer.selectedOptions = draft.selectedOptions;
+    answer.submittedAt = draft.savedAt || now;
+    answer.isSubmitted = true;
+    if (timedOut) answer.autoSubmittedAt = now;
+    await answer.save();
+    await recordRevision(answer, 'submit', { answerText: answer.answerText, selectedOptions: answer.selectedOptions });
+  }
+  let modifiedCount = drafts.length;
+  if (timedOut) {
+    ({ modifiedCount } = await StudentAnswer.updateMany(
+      { ...filter, autoSubmittedAt: null },
+      { $set: { isSubmitted: true, autoSubmittedAt: now } }
+    ));
+    modifiedCount += drafts.length;
+  }
+  // Code answers already run on submit are skipped; drafts submitted above run now
+  const autoGraded = (await gradeMcqAnswers(filter)) + (await gradeCodeAnswers(filter));
+  const receipt = await issueReceipt(studentTest._id, now);
+  await StudentTest.updateOne({ _id: studentTest._id, finalizedAt: null }, { $set: { finalizedAt: now, finalizingAt: null } });
+  return { answers: modifiedCount, autoGraded, receipt };
+};
+
+// Lock a running attempt with the given outcome and finalize it. Only an in-progress attempt
+// can be locked, so a concurrent submit or sweep keeps its own outcome; returns null then.
+// Locking also takes the finalize claim, so no sweep finalizes the attempt alongside.
+export const closeAttempt = async (studentTestId, { status, endReason }, now = new Date()) => {
+  const studentTest = await StudentTest.findOneAndUpdate(
+    { _id: studentTestId, status: 'in-progress' },
+    { $set: { status, endReason, endTime: now, pausedAt: null, finalizedAt: null, finalizingAt: new Date() } },
+    { new: true }
+  );
+  if (!studentTest) return null;
+  const result = await finalizeAttempt(studentTest, now);
+  return { studentTest, ...result };
+};
+
+// One pass: claim overdue in-progress attempts, then finalize every ended attempt not yet finalized
+export const sweepExpiredAttempts = async (now = new Date()) => {
+  let expired = 0;
+  // Attempts of a paused test keep running once it is resumed, with the paused time given back
+  const pausedTests = await Test.distinct('_id', { status: 'paused' });
+  for (let i = 0; i < BATCH_SIZE; i += 1) {
+    // Only the run whose update matches still-in-progress wins the attempt
+    const claimed = await StudentTest.findOneAndUpdate(
+      { status: 'in-progress', pausedAt: null, dueTime: { $lt: now }, test: { $nin: pausedTests } },
+      [{ $set: { status: 'expired', endTime: '$dueTime', endReason: 'timed-out', finalizedAt: null } }],
+      { new: true }
+    );
+    if (!claimed) break;
+    expired += 1;
+    logger.info('Attempt expired by sweeper', { studentTestId: claimed._id, student: claimed.student, test: claimed.test, dueTime: claimed.dueTime });
+  }
+
+  // Includes attempts expired elsewhere (late submit, restart after dueTime) and runs interrupted mid-way
+  const pending = await StudentTest.find(unclaimedFilter(new Date()))
+    .select('_id')
+    .limit(BATCH_SIZE)
+    .lean();
+  let finalized = 0;
+  for (const candidate of pending) {
+    // Skipped while another run holds the claim
+    const st = await claimFinalization(candidate._id);
+    if (!st) continue;
+    const result = await finalizeAttempt(st, now);
+    finalized += 1;
+    logger.info('Ended attempt finalized', { studentTestId: st._id, answers: result.answers, autoGraded: result.autoGraded, receiptHash: result.receipt.hash });
+  }
+
+  if (expired || finalized) logger.info('Expiry sweep finished', { expired, finalized });
+  return { expired, finalized };
+};
+
+const runSweep = async () => {
+  // Skip a tick rather than overlap a slow run on the same instance
+  if (running) return;
+  running = true;
+  try {
+    await sweepExpiredAttempts();
+  } catch (e) {
+    logger.error('Expiry sweep failed', { error: e.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic sweep (EXPIRY_SWEEP_INTERVAL_MS, default one minute; 0 disables it)
+export const startExpirySweeper = (intervalMs = Number(process.env.EXPIRY_SWEEP_INTERVAL_MS ?? DEFAULT_INTERVAL_MS)) => {
+  if (timer) return;
+  if (!intervalMs || intervalMs <= 0) {
+    logger.info('Expiry sweeper disabled');
+    return;
+  }
+  timer = setInterval(runSweep, intervalMs);
+  timer.unref();
+  logger.info('Expiry sweeper started', { intervalMs });
+  runSweep();
+};
+
+export const stopExpirySweeper = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  logger.info('Expiry sweeper stopped');
+};
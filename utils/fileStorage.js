@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+
+// Storage for uploaded answer files (documents, archives, source files). Images keep going
+// through utils/imageStorage.js; these files are private, so they are never put under the
+// publicly served uploads/ directory and are only read back through authenticated routes.
+// A backend implements put(key, buffer), open(key) -> readable stream and remove(key);
+// FILE_STORAGE_BACKEND picks one (only 'local' for now). Stored files record the backend
+// they went to, so a later switch keeps older files readable.
+
+// Files on local disk under FILE_STORAGE_DIR (default ./storage)
+const localBackend = (root) => {
+  const resolveKey = (key) => {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(path.resolve(root) + path.sep)) throw new Error('Invalid storage key');
+    return full;
+  };
+  return {
+    put: async (key, buffer) => {
+      const full = resolveKey(key);
+      await fsp.mkdir(path.dirname(full), { recursive: true });
+      // wx: never overwrite; keys are unique
+      await fsp.writeFile(full, buffer, { flag: 'wx' });
+    },
+    open: async (key) => {
+      const full = resolveKey(key);
+      await fsp.access(full);
+      return fs.createReadStream(full);
+    },
+    remove: async (key) => {
+      await fsp.rm(resolveKey(key), { force: true });
+      return true;
+    }
+  };
+};
+
+const backends = {
+  local: localBackend(path.resolve(process.env.FILE_STORAGE_DIR || 'storage'))
+};
+
+const backendFor = (name) => {
+  const backend = backends[name];
+  if (!backend) throw new Error(`Unknown file storage backend: ${name}`);
+  return backend;
+};
+
+export const defaultBackend = () => process.env.FILE_STORAGE_BACKEND || 'local';
+
+// Keep a readable name for downloads without path parts or control characters
+export const safeFileName = (name) =>
+  path.basename(String(name || 'file')).replace(/[\u0000-\u001f\u007f"\\/]/g, '_').slice(0, 200) || 'file';
+
+// Store a file buffer under folder. Returns { backend, storageKey, size, sha256 }.
+export const storeFile = async (buffer, { folder, originalName }) => {
+  const backend = defaultBackend();
+  const storageKey = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}-${safeFileName(originalName)}`;
+  await backendFor(backend).put(storageKey, buffer);
+  return {
+    backend,
+    storageKey,
+    size: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+};
+
+// Readable stream of a stored file
+export const openFile = (file) => backendFor(file.backend || 'local').open(file.storageKey);
+
+// Remove a stored file. Returns true when the file is gone.
+export const removeFile = async (file) => {
+  try {
+    return await backendFor(file.backend || 'local').remove(file.storageKey);
+  } catch (e) {
+    logger.error('Stored file delete failed', { storageKey: file.storageKey, error: e.message });
+    return false;
+  }
+};
@@ -0,0 +1,335 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import StudentAnswer from '../models/StudentAnswer.js';
+import Question from '../models/Question.js';
+import StudentTest from '../models/StudentTest.js';
+import logger from './logger.js';
+import { LANGUAGES, MAX_LIMITS, isLanguageAvailable, availableLanguages, runTestCases } from './codeRunner.js';
+
+// Fields of a student's own paper as sent during an attempt; a whitelist, so answer keys,
+// reference answers, rubrics and authorship never reach students
+export const STUDENT_PAPER_FIELDS =
+  'title description domain section options.text options.value allowMultiple type maxMarks code.language code.starterCode code.visibleTests code.limits';
+
+const MAX_TEST_CASES = 50;
+
+// A question is graded automatically only when it is an MCQ with at least one correct option.
+// Older questions default to type 'mcq' without options; those are still graded by staff.
+export const isAutoGradable = (question) =>
+  !!question &&
+  question.type === 'mcq' &&
+  Array.isArray(question.options) &&
+  question.options.some((o) => o.isCorrect);
+
+// Maximum marks for a question, including documents stored before maxMarks existed
+// (mirrors the Question.maxMarks default, which lean queries and aggregations do not apply)
+export const maxMarksFor = (question) => {
+  if (question && typeof question.maxMarks === 'number') return question.maxMarks;
+  return question && question.type === 'mcq' ? 1 : 10;
+};
+
+// Validate MCQ options from a create/update payload. Returns an error message or null.
+export const validateMcqOptions = (options, allowMultiple = false) => {
+  if (!Array.isArray(options) || options.length < 2) return 'MCQ questions need at least two options';
+  const values = new Set();
+  for (const o of options) {
+    if (!o || typeof o.text !== 'string' || !o.text.trim()) return 'Every option needs text';
+    const value = o.value !== undefined && o.value !== null ? String(o.value) : o.text.trim();
+    if (values.has(value)) return `Duplicate option value: ${value}`;
+    values.add(value);
+  }
+  const correct = options.filter((o) => o.isCorrect === true).length;
+  if (correct === 0) return 'Mark at least one option as correct';
+  if (!allowMultiple && correct > 1) return 'Only one option may be correct unless allowMultiple is set';
+  return null;
+};
+
+// Normalize MCQ options so every option carries a string value
+export const normalizeMcqOptions = (options) =>
+  options.map((o) => ({
+    text: o.text.trim(),
+    value: o.value !== undefined && o.value !== null ? String(o.value) : o.text.trim(),
+    isCorrect: o.isCorrect === true
+  }));
+
+// Score a selection against a question: full marks only when the picked set matches the correct set exactly
+export const gradeMcq = (question, selectedOptions = []) => {
+  const correct = new Set(question.options.filter((o) => o.isCorrect).map((o) => String(o.value)));
+  const picked = new Set((selectedOptions || []).map(String));
+  if (picked.size !== correct.size) return 0;
+  for (const v of picked) {
+    if (!correct.has(v)) return 0;
+  }
+  return maxMarksFor(question);
+};
+
+export const hasRubric = (question) =>
+  !!question && Array.isArray(question.rubric) && question.rubric.length > 0;
+
+// Validate a rubric from a create/update payload. Returns an error message or null.
+export const validateRubric = (rubric) => {
+  if (!Array.isArray(rubric)) return 'rubric must be an array';
+  const names = new Set();
+  for (const c of rubric) {
+    if (!c || typeof c.name !== 'string' || !c.name.trim()) return 'Every rubric criterion needs a name';
+    if (names.has(c.name.trim())) return `Duplicate rubric criterion: ${c.name.trim()}`;
+    names.add(c.name.trim());
+    const min = c.minPoints === undefined ? 0 : c.minPoints;
+    if (typeof min !== 'number' || min < 0) return `minPoints for ${c.name} must be a non-negative number`;
+    if (typeof c.maxPoints !== 'number' || c.maxPoints < min) return `maxPoints for ${c.name} must be a number not below minPoints`;
+    for (const d of c.descriptors || []) {
+      if (!d || typeof d.points !== 'number' || d.points < min || d.points > c.maxPoints) {
+        return `Descriptor points for ${c.name} must be within ${min}-${c.maxPoints}`;
+      }
+      if (typeof d.description !== 'string' || !d.description.trim()) return `Every descriptor for ${c.name} needs a description`;
+    }
+  }
+  return null;
+};
+
+// Sum of criterion maxima, used as the question's maxMarks when a rubric is attached
+export const rubricMaxMarks = (rubric) => rubric.reduce((sum, c) => sum + c.maxPoints, 0);
+
+// Check staff-entered criterion scores against a question's rubric.
+// Returns { error } or { rubricScores, mark } with the mark derived from the criterion scores.
+export const scoreRubric = (question, scores) => {
+  if (!Array.isArray(scores)) return { error: 'scores must be an array' };
+  const byId = new Map(scores.map((s) => [String(s && s.criterionId), s]));
+  const rubricScores = [];
+  for (const c of question.rubric) {
+    const entry = byId.get(String(c._id));
+    if (!entry) return { error: `Missing score for criterion: ${c.name}` };
+    const min = c.minPoints || 0;
+    if (typeof entry.points !== 'number' || entry.points < min || entry.points > c.maxPoints) {
+      return { error: `Points for ${c.name} must be within ${min}-${c.maxPoints}` };
+    }
+    rubricScores.push({ criterion: c._id, name: c.name, points: entry.points, maxPoints: c.maxPoints });
+  }
+  if (byId.size !== rubricScores.length) return { error: 'scores contains an unknown criterion' };
+  const mark = rubricScores.reduce((sum, s) => sum + s.points, 0);
+  return { rubricScores, mark };
+};
+
+// Build the feedback subdocument from a marks payload. Returns { error } or { feedback };
+// feedback is undefined when the payload carries neither a comment nor annotations.
+export const buildFeedback = ({ feedback, annotations }, answerText, staffId) => {
+  if (feedback === undefined && annotations === undefined) return { feedback: undefined };
+  if (feedback !== undefined && feedback !== null && typeof feedback !== 'string') {
+    return { error: 'feedback must be a string' };
+  }
+  if (annotations !== undefined && !Array.isArray(annotations)) return { error: 'annotations must be an array' };
+  const textLength = (answerText || '').length;
+  for (const a of annotations || []) {
+    if (!a || !Number.isInteger(a.start) || !Number.isInteger(a.end) || a.start < 0 || a.end <= a.start || a.end > textLength) {
+      return { error: `Annotation ranges must fall within the answer text (0-${textLength})` };
+    }
+    if (typeof a.comment !== 'string' || !a.comment.trim()) return { error: 'Every annotation needs a comment' };
+  }
+  return {
+    feedback: {
+      comment: feedback ? feedback.trim() : undefined,
+      annotations: (annotations || []).map((a) => ({ start: a.start, end: a.end, comment: a.comment.trim() })),
+      gradedBy: staffId,
+      updatedAt: new Date()
+    }
+  };
+};
+
+// Results (marks and feedback) are visible to students only once published
+export const isResultsPublished = (test) => !!test && test.resultStatus === 'published';
+
+// Answer fields that reveal grading; students only see them once the test's results are published
+export const ANSWER_GRADE_FIELDS = ['mark', 'autoGraded', 'rubricScores', 'feedback', 'codeResult'];
+
+// A student's own answer without its grading, for responses sent before results are published
+export const withoutGrades = (answer) => {
+  const plain = typeof answer.toObject === 'function' ? answer.toObject() : { ...answer };
+  ANSWER_GRADE_FIELDS.forEach((field) => delete plain[field]);
+  return plain;
+};
+
+// Maximum marks per section for a domain, summed over its active questions
+export const sectionMaxMarks = async (domainId) => {
+  const questions = await Question.find({ domain: domainId, isActive: true })
+    .select('section type maxMarks')
+    .lean();
+  const sectionMax = {};
+  questions.forEach((q) => {
+    const section = q.section || 'A';
+    sectionMax[section] = (sectionMax[section] || 0) + maxMarksFor(q);
+  });
+  return sectionMax;
+};
+
+// Maximum marks per section for each of several attempts, in the same order: the questions on
+// the student's drawn paper, or the whole domain pool for attempts started before papers were
+// stored. The papers' questions are loaded in one query.
+export const attemptsSectionMaxMarks = async (studentTests) => {
+  const questionIds = new Set(studentTests.flatMap((st) => (st.questions || []).map((e) => String(e.question))));
+  const questions = questionIds.size
+    ? await Question.find({ _id: { $in: [...questionIds] } }).select('section type maxMarks').lean()
+    : [];
+  const byId = new Map(questions.map((q) => [String(q._id), q]));
+  const domainMax = new Map();
+
+  const result = [];
+  for (const st of studentTests) {
+    if (!st.questions || !st.questions.length) {
+      const domainId = st.selectedDomain ? String(st.selectedDomain._id || st.selectedDomain) : null;
+      if (domainId && !domainMax.has(domainId)) domainMax.set(domainId, await sectionMaxMarks(domainId));
+      result.push(domainId ? domainMax.get(domainId) : {});
+      continue;
+    }
+    const sectionMax = {};
+    st.questions.forEach((e) => {
+      const q = byId.get(String(e.question));
+      if (!q) return;
+      const section = q.section || 'A';
+      sectionMax[section] = (sectionMax[section] || 0) + maxMarksFor(q);
+    });
+    result.push(sectionMax);
+  }
+  return result;
+};
+
+// Recompute StudentTest.score for every attempt of a test from the marks on its answers
+export const recalculateTestScores = async (testId) => {
+  const totals = await StudentAnswer.aggregate([
+    { $match: { test: new mongoose.Types.ObjectId(String(testId)) } },
+    { $group: { _id: '$student', total: { $sum: { $ifNull: ['$mark', 0] } } } }
+  ]);
+  const ops = totals.map((t) => ({
+    updateOne: { filter: { student: t._id, test: testId }, update: { $set: { score: t.total } } }
+  }));
+  if (ops.length) await StudentTest.bulkWrite(ops);
+  logger.info('Test scores recalculated', { testId, students: ops.length });
+  return ops.length;
+};
+
+// Validate the code settings of a code question from a create/update payload. Returns an error message or null.
+export const validateCodeQuestion = (code) => {
+  if (!code || typeof code !== 'object' || Array.isArray(code)) return 'code questions need a code object';
+  const { language, starterCode, visibleTests = [], hiddenTests = [], limits = {} } = code;
+  if (!LANGUAGES[language]) return `code.language must be one of: ${Object.keys(LANGUAGES).join(', ')}`;
+  if (!isLanguageAvailable(language)) {
+    return `${language} code cannot be run on this server without a sandbox (CODE_RUNNER_WRAPPER); available: ${availableLanguages().join(', ') || 'none'}`;
+  }
+  if (starterCode !== undefined && (typeof starterCode !== 'string' || starterCode.length > 10000)) {
+    return 'code.starterCode must be a string of at most 10000 characters';
+  }
+  if (!Array.isArray(visibleTests) || !Array.isArray(hiddenTests)) return 'code.visibleTests and code.hiddenTests must be arrays';
+  const cases = [...visibleTests, ...hiddenTests];
+  if (!cases.length) return 'Code questions need at least one test case';
+  if (cases.length > MAX_TEST_CASES) return `Code questions can have at most ${MAX_TEST_CASES} test cases`;
+  for (const c of cases) {
+    if (!c || typeof c.expectedOutput !== 'string') return 'Every test case needs an expectedOutput string';
+    if (c.input !== undefined && typeof c.input !== 'string') return 'Test case input must be a string';
+    if (c.weight !== undefined && (typeof c.weight !== 'number' || c.weight < 0)) return 'Test case weight must be a non-negative number';
+  }
+  if (!cases.some((c) => c.weight === undefined || c.weight > 0)) return 'At least one test case must carry weight';
+  if (!limits || typeof limits !== 'object') return 'code.limits must be an object';
+  for (const [key, max] of Object.entries(MAX_LIMITS)) {
+    const value = limits[key];
+    if (value !== undefined && (typeof value !== 'number' || value <= 0 || value > max)) return `code.limits.${key} must be a positive number up to ${max}`;
+  }
+  return null;
+};
+
+export const normalizeCodeQuestion = (code) => {
+  const testCase = (c) => ({
+    name: typeof c.name === 'string' ? c.name.trim() : undefined,
+    input: c.input || '',
+    expectedOutput: c.expectedOutput,
+    weight: c.weight === undefined ? 1 : c.weight
+  });
+  return {
+    language: code.language,
+    starterCode: code.starterCode,
+    visibleTests: (code.visibleTests || []).map(testCase),
+    hiddenTests: (code.hiddenTests || []).map(testCase),
+    limits: code.limits || {}
+  };
+};
+
+const codeHash = (source) => crypto.createHash('sha256').update(source || '').digest('hex');
+
+// Limits stored on a (lean) question, without unset keys that would override the runner defaults
+const codeLimits = (question) =>
+  Object.fromEntries(Object.entries(question.code.limits || {}).filter(([, v]) => typeof v === 'number'));
+
+// Run code against a question's visible test cases only, for students trying their code
+export const runVisibleTests = (question, source) =>
+  runTestCases({ language: question.code.language, source, testCases: question.code.visibleTests, limits: codeLimits(question) });
+
+// Run an answer against every test case of its question. Returns { mark, codeResult }.
+export const gradeCode = async (question, source) => {
+  const testCases = [
+    ...question.code.visibleTests.map((c) => ({ ...c, hidden: false })),
+    ...question.code.hiddenTests.map((c) => ({ ...c, hidden: true }))
+  ];
+  const runs = source
+    ? await runTestCases({ language: question.code.language, source, testCases, limits: codeLimits(question) })
+    : testCases.map(() => ({ status: 'runtime-error', passed: false, timeMs: 0 }));
+  const weight = (c) => (c.weight === undefined ? 1 : c.weight);
+  const totalWeight = testCases.reduce((sum, c) => sum + weight(c), 0);
+  const passedWeight = testCases.reduce((sum, c, i) => sum + (runs[i].passed ? weight(c) : 0), 0);
+  const mark = totalWeight ? Math.round((maxMarksFor(question) * passedWeight * 100) / totalWeight) / 100 : 0;
+  return {
+    mark,
+    codeResult: {
+      passed: runs.filter((r) => r.passed).length,
+      total: testCases.length,
+      codeHash: codeHash(source),
+      gradedAt: new Date(),
+      cases: testCases.map((c, i) => ({ name: c.name, hidden: c.hidden, status: runs[i].status, passed: runs[i].passed, timeMs: runs[i].timeMs }))
+    }
+  };
+};
+
+// Grade every code answer matching the filter whose result is missing or was run on other code
+// (all of them with force, e.g. after the test cases changed). Answers run one at a time; a
+// result is only stored if the answer still holds the code that was run.
+export const gradeCodeAnswers = async (filter, { force = false } = {}) => {
+  const answers = await StudentAnswer.find(filter)
+    .select('question answerText codeResult')
+    .populate('question', 'type code maxMarks')
+    .lean();
+
+  let graded = 0;
+  for (const a of answers) {
+    if (!a.question || a.question.type !== 'code' || !a.question.code || !a.question.code.language) continue;
+    // Left for manual marking rather than run unsandboxed
+    if (!isLanguageAvailable(a.question.code.language)) {
+      logger.warn('Code answer not graded: language unavailable', { answerId: a._id, language: a.question.code.language });
+      continue;
+    }
+    if (!force && a.codeResult && a.codeResult.codeHash === codeHash(a.answerText)) continue;
+    const { mark, codeResult } = await gradeCode(a.question, a.answerText);
+    const res = await StudentAnswer.updateOne(
+      { _id: a._id, answerText: a.answerText ?? null },
+      { $set: { mark, codeResult, autoGraded: true } }
+    );
+    graded += res.modifiedCount;
+  }
+  if (graded) logger.info('Code answers graded', { filter, graded });
+  return graded;
+};
+
+// Re-grade every stored MCQ answer matching the filter (e.g. one student's answers for a test)
+export const gradeMcqAnswers = async (filter) => {
+  const answers = await StudentAnswer.find(filter)
+    .select('question selectedOptions mark')
+    .populate('question', 'type options maxMarks')
+    .lean();
+
+  const ops = [];
+  for (const a of answers) {
+    if (!isAutoGradable(a.question)) continue;
+    const mark = gradeMcq(a.question, a.selectedOptions);
+    ops.push({ updateOne: { filter: { _id: a._id }, update: { $set: { mark, autoGraded: true } } } });
+  }
+
+  if (ops.length) await StudentAnswer.bulkWrite(ops);
+  logger.info('MCQ answers graded', { filter, graded: ops.length });
+  return ops.length;
+};
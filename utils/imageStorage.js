@@ -0,0 +1,41 @@
+import { uploadBuffer, destroy } from '../config/cloudinary.js';
+import logger from './logger.js';
+
+// Image storage used by answer images. Images go to Cloudinary; when it is
+// not configured, or an upload fails, the image is returned as a base64 data URL instead
+// (publicId null, fallback true) so the caller can still keep it.
+
+export const isCloudStorageConfigured = () =>
+  !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET);
+
+const toDataUrl = (buffer, mimetype) => `data:${mimetype};base64,${buffer.toString('base64')}`;
+
+// Store an image buffer. Returns { url, publicId, fallback }.
+export const storeImage = async (buffer, { folder, prefix, mimetype, transformation } = {}) => {
+  if (!isCloudStorageConfigured()) {
+    logger.warn('Cloudinary not configured - storing image as base64', { folder });
+    return { url: toDataUrl(buffer, mimetype), publicId: null, fallback: true };
+  }
+  try {
+    const result = await uploadBuffer(buffer, {
+      resource_type: 'image',
+      folder,
+      public_id: `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      transformation
+    });
+    return { url: result.secure_url, publicId: result.public_id, fallback: false };
+  } catch (error) {
+    logger.warn('Cloudinary upload failed - storing image as base64', { folder, error: error.message });
+    return { url: toDataUrl(buffer, mimetype), publicId: null, fallback: true };
+  }
+};
+
+// Remove a stored image. Base64 images (no publicId) live only in the database and need nothing here.
+// Returns true when the image is gone.
+export const removeImage = async (publicId) => {
+  if (!publicId) return true;
+  const result = await destroy(publicId);
+  if (result.result === 'ok' || result.result === 'not found') return true;
+  logger.warn('Cloudinary destroy returned unexpected result', { publicId, result });
+  return false;
+};
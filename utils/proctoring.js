@@ -0,0 +1,144 @@
+import ProctorEvent from '../models/ProctorEvent.js';
+import StudentTest from '../models/StudentTest.js';
+import logger from './logger.js';
+import { closeAttempt } from './expirySweeper.js';
+
+// Proctoring events from the exam client. Each event adds its type's weight to the attempt's
+// suspicion score; a test's thresholds can flag the attempt for review or submit it outright.
+
+export const EVENT_TYPES = [
+  'tab-switch',
+  'focus-loss',
+  'focus-gain',
+  'fullscreen-exit',
+  'fullscreen-enter',
+  'copy',
+  'cut',
+  'paste',
+  'context-menu',
+  'devtools-open'
+];
+
+export const DEFAULT_WEIGHTS = {
+  'tab-switch': 3,
+  'focus-loss': 2,
+  'focus-gain': 0,
+  'fullscreen-exit': 3,
+  'fullscreen-enter': 0,
+  copy: 2,
+  cut: 2,
+  paste: 4,
+  'context-menu': 1,
+  'devtools-open': 5
+};
+
+export const MAX_BATCH_SIZE = 100;
+const MAX_METADATA_BYTES = 2048;
+// How far client timestamps may drift from the server clock
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const weightsFor = (test) => {
+  const overrides = (test.proctoring && test.proctoring.weights) || {};
+  return { ...DEFAULT_WEIGHTS, ...(overrides instanceof Map ? Object.fromEntries(overrides) : overrides) };
+};
+
+// Validate a test's proctoring settings payload. Returns an error message or null.
+export const validateProctoringSettings = (settings) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'proctoring must be an object';
+  const { weights, flagThreshold, autoSubmitThreshold } = settings;
+  if (weights !== undefined) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) return 'proctoring.weights must be an object';
+    for (const [type, w] of Object.entries(weights)) {
+      if (!EVENT_TYPES.includes(type)) return `Unknown proctoring event type: ${type}`;
+      if (typeof w !== 'number' || w < 0) return `Weight for ${type} must be a non-negative number`;
+    }
+  }
+  for (const [name, value] of Object.entries({ flagThreshold, autoSubmitThreshold })) {
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value <= 0)) {
+      return `${name} must be a positive number or null`;
+    }
+  }
+  return null;
+};
+
+// Check one batch from the client against the attempt's time span.
+// Returns { error } or { events } ready to insert.
+export const parseEventBatch = (events, studentTest, now = new Date()) => {
+  if (!Array.isArray(events) || events.length === 0) return { error: 'events must be a non-empty array' };
+  if (events.length > MAX_BATCH_SIZE) return { error: `At most ${MAX_BATCH_SIZE} events per batch` };
+  const earliest = new Date(studentTest.startTime).getTime() - CLOCK_SKEW_MS;
+  const latest = now.getTime() + CLOCK_SKEW_MS;
+  const parsed = [];
+  for (const e of events) {
+    if (!e || !EVENT_TYPES.includes(e.type)) return { error: `type must be one of: ${EVENT_TYPES.join(', ')}` };
+    const at = new Date(e.timestamp);
+    if (isNaN(at.getTime()) || at.getTime() < earliest || at.getTime() > latest) {
+      return { error: 'Every event needs a timestamp within the attempt' };
+    }
+    if (e.metadata !== undefined && (typeof e.metadata !== 'object' || e.metadata === null || Array.isArray(e.metadata))) {
+      return { error: 'metadata must be an object' };
+    }
+    if (e.metadata && Buffer.byteLength(JSON.stringify(e.metadata)) > MAX_METADATA_BYTES) {
+      return { error: `metadata must be at most ${MAX_METADATA_BYTES} bytes` };
+    }
+    parsed.push({ type: e.type, occurredAt: at, metadata: e.metadata });
+  }
+  return { events: parsed };
+};
+
+// Store a parsed batch, update the attempt's score and apply the test's thresholds.
+// Returns { accepted, score, flagged, autoSubmitted }.
+export const recordEvents = async (test, studentTest, events, now = new Date()) => {
+  const weights = weightsFor(test);
+  const docs = events.map((e) => ({
+    ...e,
+    studentTest: studentTest._id,
+    student: studentTest.student,
+    test: studentTest.test,
+    receivedAt: now,
+    weight: weights[e.type] || 0
+  }));
+  await ProctorEvent.insertMany(docs);
+  const added = docs.reduce((sum, d) => sum + d.weight, 0);
+
+  const updated = await StudentTest.findOneAndUpdate(
+    { _id: studentTest._id },
+    { $inc: { 'proctoring.score': added, 'proctoring.eventCount': docs.length } },
+    { new: true }
+  ).lean();
+  const score = updated.proctoring.score;
+  const { flagThreshold, autoSubmitThreshold } = test.proctoring || {};
+
+  let flagged = !!updated.proctoring.flaggedAt;
+  if (!flagged && flagThreshold && score >= flagThreshold) {
+    // Flag once; later batches keep the first flag time
+    const res = await StudentTest.updateOne(
+      { _id: studentTest._id, 'proctoring.flaggedAt': null },
+      { $set: { 'proctoring.flaggedAt': now, 'proctoring.flagReason': `Suspicion score ${score} reached ${flagThreshold}` } }
+    );
+    flagged = true;
+    if (res.modifiedCount) logger.warn('Attempt flagged by proctoring', { studentTestId: studentTest._id, score, flagThreshold });
+  }
+
+  let autoSubmitted = false;
+  if (autoSubmitThreshold && score >= autoSubmitThreshold && updated.status === 'in-progress') {
+    const closed = await closeAttempt(studentTest._id, { status: 'completed', endReason: 'proctor-auto-submit' }, now);
+    autoSubmitted = !!closed;
+    if (closed) logger.warn('Attempt auto-submitted by proctoring', { studentTestId: studentTest._id, score, autoSubmitThreshold });
+  }
+
+  return { accepted: docs.length, score, flagged, autoSubmitted };
+};
+
+// An attempt's events in order with the running score after each one
+export const attemptTimeline = async (studentTestId) => {
+  const events = await ProctorEvent.find({ studentTest: studentTestId })
+    .select('type occurredAt receivedAt weight metadata')
+    .sort({ occurredAt: 1, _id: 1 })
+    .lean();
+  let running = 0;
+  return events.map((e) => {
+    running += e.weight || 0;
+    return { ...e, score: running };
+  });
+};
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import Question from '../models/Question.js';
+import Domain from '../models/Domain.js';
+import logger from './logger.js';
+
+// Per-student papers: draw questions from the domain pool by the test's rules,
+// then shuffle question and MCQ option order when the test asks for it.
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Fisher-Yates shuffle using a CSPRNG so papers cannot be predicted from Math.random state
+export const shuffle = (items) => {
+  const arr = [...items];
+  for (let i = arr.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+};
+
+// Validate test drawRules from a create/update payload. Returns an error message or null.
+export const validateDrawRules = (rules) => {
+  if (!Array.isArray(rules)) return 'drawRules must be an array';
+  for (const r of rules) {
+    if (!r || !Number.isInteger(r.count) || r.count < 1) return 'Every draw rule needs a positive integer count';
+    if (r.difficulty !== undefined && r.difficulty !== null && !DIFFICULTIES.includes(r.difficulty)) {
+      return `difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+    }
+    if (r.section !== undefined && r.section !== null && typeof r.section !== 'string') return 'section must be a string';
+  }
+  return null;
+};
+
+// Number of questions a paper takes from a section pool of the given size
+export const drawSize = (domain, poolSize) =>
+  domain && domain.drawCount ? Math.min(domain.drawCount, poolSize) : poolSize;
+
+// Pick the paper for one student. Rules without a section apply to every section;
+// rules without a difficulty draw from the whole section. With no matching rules the
+// domain's drawCount (or the whole section pool) is used. Returns [{ question, optionOrder }]
+// in presentation order.
+export const drawPaper = async (test, domainId, section) => {
+  const [pool, domain] = await Promise.all([
+    Question.find({ domain: domainId, section, isActive: true })
+      .select('difficulty type options.value')
+      .lean(),
+    Domain.findById(domainId).select('drawCount').lean()
+  ]);
+
+  const rules = (test.drawRules || []).filter((r) => !r.section || r.section === section);
+  let picked;
+  if (!rules.length) {
+    picked = domain && domain.drawCount ? shuffle(pool).slice(0, drawSize(domain, pool.length)) : pool;
+  } else {
+    const used = new Set();
+    picked = [];
+    // Difficulty-specific rules first so "any difficulty" rules cannot starve them
+    const ordered = [...rules].sort((a, b) => (a.difficulty ? 0 : 1) - (b.difficulty ? 0 : 1));
+    for (const rule of ordered) {
+      const candidates = shuffle(pool.filter((q) => !used.has(String(q._id)) && (!rule.difficulty || q.difficulty === rule.difficulty)));
+      const chosen = candidates.slice(0, rule.count);
+      if (chosen.length < rule.count) {
+        logger.warn('Question pool smaller than draw rule', { testId: test._id, domainId, section, rule, available: chosen.length });
+      }
+      chosen.forEach((q) => used.add(String(q._id)));
+      picked.push(...chosen);
+    }
+  }
+
+  if (test.shuffleQuestions !== false) picked = shuffle(picked);
+  return picked.map((q) => {
+    const values = q.type === 'mcq' ? (q.options || []).map((o) => String(o.value)) : [];
+    return {
+      question: q._id,
+      optionOrder: test.shuffleOptions !== false ? shuffle(values) : values
+    };
+  });
+};
+
+// Load the questions of an attempt in the student's order with options in the student's order.
+// Attempts started before papers were stored fall back to the whole domain/section pool.
+export const loadPaper = async (studentTest, projection) => {
+  if (!studentTest.questions || !studentTest.questions.length) {
+    return Question.find({ domain: studentTest.selectedDomain, section: studentTest.selectedSection, isActive: true })
+      .select(projection)
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  const docs = await Question.find({ _id: { $in: studentTest.questions.map((e) => e.question) } })
+    .select(projection)
+    .lean();
+  const byId = new Map(docs.map((d) => [String(d._id), d]));
+
+  return studentTest.questions
+    .map((entry) => {
+      const q = byId.get(String(entry.question));
+      if (!q) return null;
+      if (entry.optionOrder && entry.optionOrder.length && Array.isArray(q.options)) {
+        const rank = new Map(entry.optionOrder.map((v, i) => [v, i]));
+        q.options = [...q.options].sort((a, b) => (rank.get(String(a.value)) ?? Infinity) - (rank.get(String(b.value)) ?? Infinity));
+      }
+      return q;
+    })
+    .filter(Boolean);
+};
+
+// Whether a question is part of the attempt's paper (any domain/section question for older attempts)
+export const isInPaper = (studentTest, questionId) =>
+  !studentTest.questions ||
+  !studentTest.questions.length ||
+  studentTest.questions.some((e) => String(e.question) === String(questionId));
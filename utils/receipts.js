@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import StudentTest from '../models/StudentTest.js';
+import StudentAnswer from '../models/StudentAnswer.js';
+import { loadPaper } from './questionDraw.js';
+import { contentHash } from './revisions.js';
+
+// Submission receipts: every question on the student's paper with whether it was answered
+// and a hash of the submitted content, sealed by one hash over the whole list. The receipt
+// is stored on the attempt so the hash a student keeps can be checked later.
+
+const hasContent = (a) =>
+  !!a &&
+  a.isSubmitted !== false &&
+  ((a.answerText && a.answerText.trim()) || (a.selectedOptions && a.selectedOptions.length) || (a.files && a.files.length));
+
+export const receiptHash = ({ attemptId, student, test, endTime, questions }) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      attempt: String(attemptId),
+      student: String(student),
+      test: String(test),
+      endTime: new Date(endTime).toISOString(),
+      questions: questions.map((q) => [String(q.question), q.contentHash])
+    }))
+    .digest('hex');
+
+// Build and store the receipt of an ended attempt (once; later calls return the stored one)
+export const issueReceipt = async (studentTestId, now = new Date()) => {
+  const st = await StudentTest.findById(studentTestId).lean();
+  if (st.receipt && st.receipt.hash) return st.receipt;
+
+  const [paper, answers] = await Promise.all([
+    loadPaper(st, 'title section'),
+    StudentAnswer.find({ student: st.student, test: st.test }).select('question answerText selectedOptions files.originalName files.size files.sha256 isSubmitted submittedAt').lean()
+  ]);
+  const byQuestion = new Map(answers.map((a) => [String(a.question), a]));
+
+  const questions = paper.map((q) => {
+    const a = byQuestion.get(String(q._id));
+    const answered = hasContent(a);
+    return {
+      question: q._id,
+      title: q.title,
+      section: q.section,
+      answered,
+      submittedAt: answered ? a.submittedAt : null,
+      contentHash: answered ? contentHash(a) : null
+    };
+  });
+  const receipt = {
+    hash: receiptHash({ attemptId: st._id, student: st.student, test: st.test, endTime: st.endTime || now, questions }),
+    issuedAt: now,
+    answered: questions.filter((q) => q.answered).length,
+    unanswered: questions.filter((q) => !q.answered).length,
+    questions
+  };
+
+  // First writer wins so the stored receipt never changes
+  await StudentTest.updateOne({ _id: st._id, 'receipt.hash': { $in: [null] } }, { $set: { receipt } });
+  const stored = await StudentTest.findById(st._id).select('receipt').lean();
+  return stored.receipt;
+};
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import AnswerRevision from '../models/AnswerRevision.js';
+
+// Answer revision log helpers. Hashes cover only the answer content, so identical content
+// always hashes the same and replays can be checked against the stored hashes.
+
+// Attached files count by name, size and content hash; answers without files hash as before
+export const contentHash = ({ answerText, selectedOptions, files }) => {
+  const content = { answerText: answerText || '', selectedOptions: selectedOptions || [] };
+  if (files && files.length) content.files = files.map((f) => [f.originalName, f.size, f.sha256]);
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+// Append a revision for an answer. Autosaves that repeat the last revision are skipped,
+// as are repeated submits of unchanged content. Returns the revision, or null when skipped.
+export const recordRevision = async (answer, kind, content) => {
+  const hash = contentHash(content);
+  const last = await AnswerRevision.findOne({ answer: answer._id })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('kind contentHash')
+    .lean();
+  if (last && last.contentHash === hash && (kind === 'draft' || last.kind === 'submit')) return null;
+
+  return AnswerRevision.create({
+    answer: answer._id,
+    student: answer.student,
+    test: answer.test,
+    question: answer.question,
+    kind,
+    answerText: content.answerText,
+    selectedOptions: content.selectedOptions,
+    contentHash: hash,
+    previousHash: last ? last.contentHash : null
+  });
+};
+
+// Revisions of the given answers, oldest first, grouped by answer id
+export const revisionsByAnswer = async (answerIds) => {
+  const revisions = await AnswerRevision.find({ answer: { $in: answerIds } })
+    .select('answer kind answerText selectedOptions contentHash previousHash createdAt')
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+  const grouped = new Map();
+  revisions.forEach((r) => {
+    const key = String(r.answer);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(r);
+  });
+  return grouped;
+};
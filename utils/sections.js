@@ -0,0 +1,64 @@
+// Domain-defined sections. Domains created before sections were configurable behave as
+// if they defined the original fixed sections A and B.
+
+export const DEFAULT_SECTIONS = [
+  { name: 'A', order: 0, timeLimitMinutes: null },
+  { name: 'B', order: 1, timeLimitMinutes: null }
+];
+
+// Sections of a domain (lean or hydrated), sorted by order
+export const domainSections = (domain) => {
+  const sections = domain && Array.isArray(domain.sections) && domain.sections.length ? domain.sections : DEFAULT_SECTIONS;
+  return [...sections].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+};
+
+export const sectionNames = (domain) => domainSections(domain).map((s) => s.name);
+
+export const findSection = (domain, name) => domainSections(domain).find((s) => s.name === name) || null;
+
+// Validate a sections payload for a domain. Returns an error message or null.
+export const validateSections = (sections) => {
+  if (!Array.isArray(sections) || sections.length === 0) return 'sections must be a non-empty array';
+  const names = new Set();
+  for (const s of sections) {
+    if (!s || typeof s.name !== 'string' || !s.name.trim()) return 'Every section needs a name';
+    if (s.name.trim().length > 50) return 'Section names must be at most 50 characters';
+    // Names become object keys in aggregation output
+    if (s.name.includes('.') || s.name.trim().startsWith('$')) return 'Section names cannot contain "." or start with "$"';
+    if (names.has(s.name.trim())) return `Duplicate section: ${s.name.trim()}`;
+    names.add(s.name.trim());
+    if (s.order !== undefined && !Number.isInteger(s.order)) return `order for ${s.name} must be an integer`;
+    if (s.timeLimitMinutes !== undefined && s.timeLimitMinutes !== null && (typeof s.timeLimitMinutes !== 'number' || s.timeLimitMinutes <= 0)) {
+      return `timeLimitMinutes for ${s.name} must be a positive number or null`;
+    }
+  }
+  return null;
+};
+
+// Validate a test's sectionTimeLimits payload. Returns an error message or null.
+export const validateSectionTimeLimits = (limits) => {
+  if (!Array.isArray(limits)) return 'sectionTimeLimits must be an array';
+  const seen = new Set();
+  for (const l of limits) {
+    if (!l || typeof l.section !== 'string' || !l.section.trim()) return 'Every section time limit needs a section';
+    if (seen.has(l.section)) return `Duplicate section time limit: ${l.section}`;
+    seen.add(l.section);
+    if (typeof l.minutes !== 'number' || l.minutes < 1) return `minutes for ${l.section} must be at least 1`;
+  }
+  return null;
+};
+
+// Time budget in minutes for a section of a test: the test's own limit, else the domain's; null for none
+export const sectionBudgetMinutes = (test, sectionDef) => {
+  const override = (test.sectionTimeLimits || []).find((l) => l.section === sectionDef.name);
+  if (override) return override.minutes;
+  return sectionDef.timeLimitMinutes || null;
+};
+
+// Normalize a validated sections payload; order defaults to the array position
+export const normalizeSections = (sections) =>
+  sections.map((s, i) => ({
+    name: s.name.trim(),
+    order: s.order !== undefined ? s.order : i,
+    timeLimitMinutes: s.timeLimitMinutes ?? null
+  }));
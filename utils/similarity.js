@@ -0,0 +1,214 @@
+import StudentAnswer from '../models/StudentAnswer.js';
+import SimilarityReport from '../models/SimilarityReport.js';
+import logger from './logger.js';
+
+// Answer similarity by word shingling, computed locally. Each answer is split into word
+// n-grams ("shingles"); two answers are compared by the Jaccard overlap of their shingle
+// sets, and the shared shingles are mapped back to character ranges of answerText so the
+// matching passages can be highlighted. Pairs at or above the threshold are joined into clusters.
+
+export const DEFAULT_SHINGLE_SIZE = 5;
+export const DEFAULT_THRESHOLD = 0.5;
+// Pairs below this score are not stored
+const MIN_REPORTED_SCORE = 0.1;
+// Only the highest-scoring pairs of a question are stored, keeping reports well under the
+// document size limit; clusters still cover every pair at or above the threshold
+export const MAX_STORED_PAIRS = 500;
+// Comparisons between yields to the event loop, so large tests do not stall requests
+const COMPARISONS_PER_CHUNK = 2000;
+
+// Words of an answer with their character ranges in the original text. HTML tags are blanked
+// out (keeping offsets) so markup such as <img> never counts as shared text.
+export const tokenize = (text) => {
+  const blank = (m) => ' '.repeat(m.length);
+  const visible = (text || '').replace(/<[^>]*>/g, blank).replace(/&[a-z]+;/gi, blank);
+  const tokens = [];
+  for (const m of visible.matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({ word: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+};
+
+// Map of shingle -> token positions where it starts
+export const shingles = (tokens, size = DEFAULT_SHINGLE_SIZE) => {
+  const map = new Map();
+  for (let i = 0; i + size <= tokens.length; i += 1) {
+    const key = tokens.slice(i, i + size).map((t) => t.word).join(' ');
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(i);
+  }
+  return map;
+};
+
+// Merge the token spans of shared shingles into character ranges [start, end)
+const passages = (tokens, positions, size) => {
+  const spans = positions
+    .map((i) => [tokens[i].start, tokens[i + size - 1].end])
+    .sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of spans) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last.end + 1) last.end = Math.max(last.end, end);
+    else merged.push({ start, end });
+  }
+  return merged;
+};
+
+// Jaccard score of two prepared answers, rounded to three places
+const scoreAnswers = (a, b) => {
+  if (!a.shingles.size || !b.shingles.size) return 0;
+  const [small, large] = a.shingles.size <= b.shingles.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const k of small.shingles.keys()) if (large.shingles.has(k)) shared += 1;
+  const union = a.shingles.size + b.shingles.size - shared;
+  return union ? Math.round((shared / union) * 1000) / 1000 : 0;
+};
+
+// Compare two prepared answers. Returns { score, passagesA, passagesB }.
+export const compareAnswers = (a, b, size = DEFAULT_SHINGLE_SIZE) => {
+  const score = scoreAnswers(a, b);
+  if (!score) return { score: 0, passagesA: [], passagesB: [] };
+  const shared = [...a.shingles.keys()].filter((k) => b.shingles.has(k));
+  return {
+    score,
+    passagesA: passages(a.tokens, shared.flatMap((k) => a.shingles.get(k)), size),
+    passagesB: passages(b.tokens, shared.flatMap((k) => b.shingles.get(k)), size)
+  };
+};
+
+// Group answers connected by pairs at or above the threshold (union-find)
+export const clusterPairs = (pairs, threshold) => {
+  const parent = new Map();
+  const find = (x) => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  const strong = pairs.filter((p) => p.score >= threshold);
+  for (const p of strong) {
+    [p.answerA, p.answerB].forEach((id) => { if (!parent.has(String(id))) parent.set(String(id), String(id)); });
+    parent.set(find(String(p.answerA)), find(String(p.answerB)));
+  }
+  const groups = new Map();
+  for (const p of strong) {
+    const root = find(String(p.answerA));
+    if (!groups.has(root)) groups.set(root, { answers: new Set(), students: new Set(), maxScore: 0 });
+    const g = groups.get(root);
+    g.answers.add(String(p.answerA)).add(String(p.answerB));
+    g.students.add(String(p.studentA)).add(String(p.studentB));
+    g.maxScore = Math.max(g.maxScore, p.score);
+  }
+  return [...groups.values()].map((g) => ({ answers: [...g.answers], students: [...g.students], maxScore: g.maxScore }));
+};
+
+// Analyse the submitted text answers to one question of a test. Returns the report fields.
+export const analyzeQuestion = async ({ testId, questionId, threshold = DEFAULT_THRESHOLD, shingleSize = DEFAULT_SHINGLE_SIZE }) => {
+  const answers = await StudentAnswer.find({
+    test: testId,
+    question: questionId,
+    isSubmitted: { $ne: false },
+    answerText: { $nin: [null, ''] }
+  })
+    .select('student answerText')
+    .lean();
+
+  const prepared = answers.map((a) => {
+    const tokens = tokenize(a.answerText);
+    return { answer: a._id, student: a.student, tokens, shingles: shingles(tokens, shingleSize) };
+  });
+
+  // Score every pair first; passages are only worked out for the pairs that are stored
+  const byScore = (x, y) => y.score - x.score;
+  const strong = [];
+  let candidates = [];
+  let comparisons = 0;
+  let found = 0;
+  for (let i = 0; i < prepared.length; i += 1) {
+    for (let j = i + 1; j < prepared.length; j += 1) {
+      if (String(prepared[i].student) === String(prepared[j].student)) continue;
+      comparisons += 1;
+      if (comparisons % COMPARISONS_PER_CHUNK === 0) await new Promise((resolve) => setImmediate(resolve));
+      const score = scoreAnswers(prepared[i], prepared[j]);
+      if (score < MIN_REPORTED_SCORE) continue;
+      found += 1;
+      const pair = { a: i, b: j, score };
+      if (score >= threshold) strong.push(pair);
+      candidates.push(pair);
+      if (candidates.length >= MAX_STORED_PAIRS * 2) candidates = candidates.sort(byScore).slice(0, MAX_STORED_PAIRS);
+    }
+  }
+
+  const ids = ({ a, b, score }) => ({
+    answerA: prepared[a].answer,
+    answerB: prepared[b].answer,
+    studentA: prepared[a].student,
+    studentB: prepared[b].student,
+    score
+  });
+  const pairs = candidates.sort(byScore).slice(0, MAX_STORED_PAIRS).map((p) => {
+    const { passagesA, passagesB } = compareAnswers(prepared[p.a], prepared[p.b], shingleSize);
+    return { ...ids(p), passagesA, passagesB };
+  });
+  return {
+    answerCount: answers.length,
+    pairCount: found,
+    pairs,
+    clusters: clusterPairs(strong.map(ids), threshold)
+  };
+};
+
+// Mark the reports of every question of a domain answered in a test as running, then analyse
+// them one at a time in the background. Returns the question ids queued.
+export const queueSimilarityAnalysis = async ({ testId, domainId, threshold = DEFAULT_THRESHOLD, shingleSize = DEFAULT_SHINGLE_SIZE, requestedBy = null }) => {
+  const questionIds = await StudentAnswer.distinct('question', { test: testId, domain: domainId });
+  const startedAt = new Date();
+  await Promise.all(questionIds.map((questionId) => SimilarityReport.updateOne(
+    { test: testId, question: questionId },
+    { $set: { domain: domainId, status: 'running', error: null, threshold, shingleSize, requestedBy, startedAt } },
+    { upsert: true }
+  )));
+
+  setImmediate(async () => {
+    for (const questionId of questionIds) {
+      // A newer run for the same question takes over; startedAt tells the runs apart
+      const filter = { test: testId, question: questionId, startedAt };
+      try {
+        const result = await analyzeQuestion({ testId, questionId, threshold, shingleSize });
+        await SimilarityReport.updateOne(filter, { $set: { ...result, status: 'done', analyzedAt: new Date() } });
+        logger.info('Similarity analysis finished', {
+          testId, questionId, answers: result.answerCount, pairs: result.pairCount, clusters: result.clusters.length
+        });
+      } catch (e) {
+        logger.error('Similarity analysis failed', { testId, questionId, error: e.message });
+        await SimilarityReport.updateOne(filter, { $set: { status: 'failed', error: e.message } }).catch(() => {});
+      }
+    }
+  });
+  return questionIds;
+};
+
+// Matches per answer from the finished reports of a test:
+// Map answerId -> { maxScore, flagged, matches: [{ answerId, student, score, passages, otherPassages }] }
+export const similarityByAnswer = async (testId, domainId) => {
+  const reports = await SimilarityReport.find({ test: testId, domain: domainId, status: 'done' })
+    .select('threshold pairs')
+    .lean();
+  const byAnswer = new Map();
+  const add = (answerId, entry, threshold) => {
+    const key = String(answerId);
+    if (!byAnswer.has(key)) byAnswer.set(key, { maxScore: 0, flagged: false, matches: [] });
+    const info = byAnswer.get(key);
+    info.matches.push(entry);
+    info.maxScore = Math.max(info.maxScore, entry.score);
+    info.flagged = info.flagged || entry.score >= threshold;
+  };
+  for (const report of reports) {
+    for (const p of report.pairs) {
+      add(p.answerA, { answerId: p.answerB, student: p.studentB, score: p.score, passages: p.passagesA, otherPassages: p.passagesB }, report.threshold);
+      add(p.answerB, { answerId: p.answerA, student: p.studentA, score: p.score, passages: p.passagesB, otherPassages: p.passagesA }, report.threshold);
+    }
+  }
+  return byAnswer;
+};
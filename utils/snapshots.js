@@ -0,0 +1,133 @@
+import WebcamSnapshot from '../models/WebcamSnapshot.js';
+import logger from './logger.js';
+import { storeFile, removeFile } from './fileStorage.js';
+
+// Webcam snapshots taken by the exam client. Frames go to private file storage and are only
+// read back through a staff route, never through a public URL. Retention comes from the test's
+// settings; a periodic purge removes the stored image first and then its record, so a failed
+// image delete is retried on the next run instead of leaving an orphaned image behind.
+
+const DEFAULT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+export const snapshotSettings = (test) => ({
+  enabled: !!(test.snapshots && test.snapshots.enabled),
+  intervalSeconds: (test.snapshots && test.snapshots.intervalSeconds) || 60,
+  retentionDays: (test.snapshots && test.snapshots.retentionDays) || 30
+});
+
+// Validate a test's snapshots settings payload. Returns an error message or null.
+export const validateSnapshotSettings = (settings) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'snapshots must be an object';
+  const { enabled, intervalSeconds, retentionDays } = settings;
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'snapshots.enabled must be a boolean';
+  if (intervalSeconds !== undefined && (!Number.isInteger(intervalSeconds) || intervalSeconds < 10)) {
+    return 'snapshots.intervalSeconds must be an integer of at least 10';
+  }
+  if (retentionDays !== undefined && (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > 365)) {
+    return 'snapshots.retentionDays must be an integer from 1 to 365';
+  }
+  return null;
+};
+
+// Store one frame for an attempt. The client may not send frames faster than half the
+// configured interval. Returns { snapshot } or { error: { status, code, message } }.
+export const captureSnapshot = async (test, studentTest, file, now = new Date()) => {
+  const settings = snapshotSettings(test);
+  if (!settings.enabled) return { error: { status: 403, code: 'SNAPSHOTS_DISABLED', message: 'Snapshots are not enabled for this test' } };
+
+  const last = await WebcamSnapshot.findOne({ studentTest: studentTest._id }).sort({ capturedAt: -1 }).select('capturedAt').lean();
+  if (last && now - last.capturedAt < (settings.intervalSeconds * 1000) / 2) {
+    return { error: { status: 429, code: 'SNAPSHOT_TOO_SOON', message: 'Snapshots are arriving faster than the configured interval' } };
+  }
+
+  const stored = await storeFile(file.buffer, {
+    folder: `proctoring/${studentTest.test}/${studentTest.student}`,
+    originalName: `snapshot.${file.mimetype.split('/')[1]}`
+  });
+  const snapshot = await WebcamSnapshot.create({
+    studentTest: studentTest._id,
+    student: studentTest.student,
+    test: studentTest.test,
+    backend: stored.backend,
+    storageKey: stored.storageKey,
+    mimetype: file.mimetype,
+    bytes: file.size,
+    capturedAt: now,
+    expiresAt: new Date(now.getTime() + settings.retentionDays * DAY_MS)
+  });
+  return { snapshot };
+};
+
+// Re-date every stored snapshot of a test after its retention period changed
+export const applyRetention = async (testId, retentionDays) => {
+  const { modifiedCount } = await WebcamSnapshot.updateMany(
+    { test: testId },
+    [{ $set: { expiresAt: { $add: ['$capturedAt', retentionDays * DAY_MS] } } }]
+  );
+  logger.info('Snapshot retention updated', { testId, retentionDays, snapshots: modifiedCount });
+  return modifiedCount;
+};
+
+// Delete matching snapshots, image first. Returns the number removed.
+export const purgeSnapshots = async (filter) => {
+  let purged = 0;
+  for (;;) {
+    const batch = await WebcamSnapshot.find(filter).select('backend storageKey').limit(PURGE_BATCH_SIZE).lean();
+    if (!batch.length) break;
+    const removable = [];
+    for (const s of batch) {
+      try {
+        if (await removeFile(s)) removable.push(s._id);
+      } catch (e) {
+        logger.error('Snapshot image delete failed', { snapshotId: s._id, error: e.message });
+      }
+    }
+    if (removable.length) {
+      const { deletedCount } = await WebcamSnapshot.deleteMany({ _id: { $in: removable } });
+      purged += deletedCount;
+    }
+    // Images that could not be deleted stay for the next run
+    if (removable.length < batch.length) break;
+  }
+  if (purged) logger.info('Snapshots purged', { filter, purged });
+  return purged;
+};
+
+export const purgeExpiredSnapshots = (now = new Date()) => purgeSnapshots({ expiresAt: { $lte: now } });
+
+const runPurge = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await purgeExpiredSnapshots();
+  } catch (e) {
+    logger.error('Snapshot purge failed', { error: e.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic purge (SNAPSHOT_PURGE_INTERVAL_MS, default one hour; 0 disables it)
+export const startSnapshotPurge = (intervalMs = Number(process.env.SNAPSHOT_PURGE_INTERVAL_MS ?? DEFAULT_PURGE_INTERVAL_MS)) => {
+  if (timer) return;
+  if (!intervalMs || intervalMs <= 0) {
+    logger.info('Snapshot purge disabled');
+    return;
+  }
+  timer = setInterval(runPurge, intervalMs);
+  timer.unref();
+  logger.info('Snapshot purge started', { intervalMs });
+  runPurge();
+};
+
+export const stopSnapshotPurge = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  logger.info('Snapshot purge stopped');
+};
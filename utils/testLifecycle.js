@@ -0,0 +1,136 @@
+import Test from '../models/Test.js';
+import logger from './logger.js';
+
+// One authoritative Test.status. The scheduler moves tests between inactive, active and
+// finished at startDate/endDate; admins can pause, resume, extend or force-finish a test.
+// Overrides are stored in statusOverride, which the scheduler leaves alone, and every
+// change is appended to statusHistory.
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+export const STATUS_ACTIONS = ['pause', 'resume', 'extend', 'finish'];
+
+let timer = null;
+let running = false;
+
+// The status a test should have now: its override if any, else what its dates say
+export const scheduledStatus = (test, now = new Date()) => {
+  if (test.statusOverride) return test.statusOverride;
+  if (now < new Date(test.startDate)) return 'inactive';
+  if (now >= new Date(test.endDate)) return 'finished';
+  return 'active';
+};
+
+// Whether students may start or continue an attempt now. The date check covers the
+// moments between endDate and the next scheduler run.
+export const isTestOpen = (test, now = new Date()) =>
+  test.status === 'active' && now >= new Date(test.startDate) && now < new Date(test.endDate);
+
+const historyEntry = (action, from, to, extra = {}) => ({ action, from, to, at: new Date(), ...extra });
+
+// Bring a (hydrated) test's stored status in line with its dates and override after an edit;
+// the caller saves it
+export const syncStatus = (test, by = null) => {
+  const next = scheduledStatus(test);
+  if (next === test.status) return false;
+  test.statusHistory.push(historyEntry('schedule', test.status, next, { by }));
+  test.status = next;
+  return true;
+};
+
+// Apply an admin override to a hydrated test. Returns { test } or { error } with a message.
+export const applyStatusAction = async (test, action, { by, reason, endDate } = {}) => {
+  const from = test.status;
+  const extra = { by, reason };
+  switch (action) {
+    case 'pause':
+      if (from !== 'active' && from !== 'inactive') return { error: `Cannot pause a ${from} test` };
+      test.statusOverride = 'paused';
+      break;
+    case 'resume':
+      if (from !== 'paused') return { error: 'Only a paused test can be resumed' };
+      test.statusOverride = null;
+      break;
+    case 'extend': {
+      const end = new Date(endDate);
+      if (!endDate || isNaN(end.getTime())) return { error: 'endDate is required to extend a test' };
+      if (end <= new Date(test.endDate)) return { error: 'endDate must be later than the current end date' };
+      if (end <= new Date()) return { error: 'endDate must be in the future' };
+      test.endDate = end;
+      // Extending a force-finished test reopens it
+      if (test.statusOverride === 'finished') test.statusOverride = null;
+      extra.endDate = end;
+      break;
+    }
+    case 'finish':
+      if (from === 'finished' && test.statusOverride === 'finished') return { error: 'Test is already finished' };
+      test.statusOverride = 'finished';
+      break;
+    default:
+      return { error: `action must be one of: ${STATUS_ACTIONS.join(', ')}` };
+  }
+  test.status = scheduledStatus(test);
+  test.statusHistory.push(historyEntry(action, from, test.status, extra));
+  await test.save();
+  logger.info('Test status override applied', { testId: test._id, action, from, to: test.status, by });
+  return { test };
+};
+
+// Scheduled transitions for tests without an override. Each update only matches tests
+// still in another state, so repeated or concurrent runs are harmless.
+const moveTests = async (filter, to, now) => {
+  const { modifiedCount } = await Test.updateMany(
+    { ...filter, statusOverride: null, status: { $ne: to } },
+    [{
+      $set: {
+        statusHistory: {
+          $concatArrays: [{ $ifNull: ['$statusHistory', []] }, [{ action: 'schedule', from: '$status', to, at: now }]]
+        },
+        status: to
+      }
+    }]
+  );
+  return modifiedCount;
+};
+
+export const runStatusTransitions = async (now = new Date()) => {
+  const activated = await moveTests({ startDate: { $lte: now }, endDate: { $gt: now } }, 'active', now);
+  const finished = await moveTests({ endDate: { $lte: now } }, 'finished', now);
+  const deactivated = await moveTests({ startDate: { $gt: now } }, 'inactive', now);
+  if (activated || finished || deactivated) {
+    logger.info('Test statuses updated by scheduler', { activated, finished, deactivated });
+  }
+  return { activated, finished, deactivated };
+};
+
+const runTransitions = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await runStatusTransitions();
+  } catch (e) {
+    logger.error('Test status scheduler failed', { error: e.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic scheduler (TEST_SCHEDULER_INTERVAL_MS, default 30 seconds; 0 disables it)
+export const startTestScheduler = (intervalMs = Number(process.env.TEST_SCHEDULER_INTERVAL_MS ?? DEFAULT_INTERVAL_MS)) => {
+  if (timer) return;
+  if (!intervalMs || intervalMs <= 0) {
+    logger.info('Test status scheduler disabled');
+    return;
+  }
+  timer = setInterval(runTransitions, intervalMs);
+  timer.unref();
+  logger.info('Test status scheduler started', { intervalMs });
+  runTransitions();
+};
+
+export const stopTestScheduler = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  logger.info('Test status scheduler stopped');
+};